@@ -1,9 +1,14 @@
+import RuleAdapter from './rule-adapter.js';
+import { normalizeSiteRule, validateSiteRule } from './utils/site-rules.js';
+
 /**
  * AdapterRegistry - Manages registration and retrieval of site adapters
  * 
  * This registry maintains a collection of adapters and provides methods to:
  * - Register new adapters
  * - Find the appropriate adapter for a given hostname
+ * - Build adapters from user-defined site rules
+ * - Fall back to a generic adapter on sites without a dedicated one
  * - Retrieve all registered adapters
  */
 
@@ -19,6 +24,8 @@ class AdapterRegistry {
       return registryInstance;
     }
     this.adapters = [];
+    this.ruleAdapters = [];
+    this.fallbackAdapter = null;
     registryInstance = this;
   }
 
@@ -34,16 +41,51 @@ class AdapterRegistry {
     this.adapters.push(adapter);
   }
 
+  /**
+   * Registers the adapter used when no registered adapter handles a hostname
+   * @param {BaseAdapter} adapter - The fallback adapter instance
+   * @throws {Error} - If adapter is not an instance of BaseAdapter
+   */
+  registerFallback(adapter) {
+    if (!adapter || typeof adapter.canHandle !== 'function') {
+      throw new Error('Adapter must be a valid adapter instance');
+    }
+    this.fallbackAdapter = adapter;
+  }
+
+  /**
+   * Replaces the adapters built from user-defined site rules
+   * Rules take precedence over built-in adapters so users can override them.
+   * Invalid rules are skipped.
+   * @param {Object[]} rules - Site rules from storage
+   */
+  setRules(rules) {
+    this.ruleAdapters = [];
+    for (const rule of rules || []) {
+      const normalized = normalizeSiteRule(rule);
+      const validation = validateSiteRule(normalized);
+      if (!validation.valid) {
+        console.warn(`Skipping site rule "${normalized.name}": ${validation.errors.join(', ')}`);
+        continue;
+      }
+      this.ruleAdapters.push(new RuleAdapter(normalized));
+    }
+  }
+
   /**
    * Returns the matching adapter for the given hostname
    * @param {string} hostname - The hostname to find an adapter for
-   * @returns {BaseAdapter|null} - The matching adapter, or null if none found
+   * @returns {BaseAdapter|null} - The matching adapter, the fallback, or null if none found
    */
   getAdapter(hostname) {
     if (!hostname) {
       return null;
     }
-    return this.adapters.find(adapter => adapter.canHandle(hostname)) || null;
+    const adapter = [...this.ruleAdapters, ...this.adapters].find(adapter => adapter.canHandle(hostname));
+    if (adapter) {
+      return adapter;
+    }
+    return this.fallbackAdapter?.canHandle(hostname) ? this.fallbackAdapter : null;
   }
 
   /**
@@ -51,7 +93,7 @@ class AdapterRegistry {
    * @returns {BaseAdapter[]} - Array of all registered adapters
    */
   getAllAdapters() {
-    return [...this.adapters];
+    return [...this.ruleAdapters, ...this.adapters];
   }
 }
 
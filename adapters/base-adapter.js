@@ -1,10 +1,12 @@
+import { extractIdsFromLinks } from './utils/external-ids.js';
+
 /**
  * BaseAdapter - Abstract base class for all site adapters
  * 
  * Site adapters extend this class to provide site-specific logic for:
  * - Detecting if they can handle a given hostname
- * - Finding movie card elements on the page
- * - Extracting movie metadata (title, year)
+ * - Finding movie and TV show card elements on the page
+ * - Extracting metadata (title, year, external IDs, movie or series)
  * - Determining where to inject badges
  * - Providing custom badge styles
  */
@@ -44,6 +46,43 @@ export default class BaseAdapter {
     return null;
   }
 
+  /**
+   * Extracts original or alternate titles (e.g. the original-language title)
+   * @param {HTMLElement} element - The movie card element
+   * @returns {string[]} - Other titles of the movie, empty if the page shows none
+   */
+  extractAlternateTitles(element) {
+    return [];
+  }
+
+  /**
+   * Classifies a card element as a movie or a TV series
+   * @param {HTMLElement} element - The movie card element
+   * @returns {'movie'|'series'|null} - The media type, or null if the page doesn't tell
+   */
+  extractMediaType(element) {
+    return 'movie';
+  }
+
+  /**
+   * Extracts the total number of seasons of a TV series, when the page shows it
+   * @param {HTMLElement} element - The series card element
+   * @returns {number|null} - The season count, or null if not available
+   */
+  extractSeasonCount(element) {
+    return null;
+  }
+
+  /**
+   * Extracts external database IDs (IMDb, TMDB, TVDB) from a card element
+   * Defaults to IMDb/TMDB links found in or around the element.
+   * @param {HTMLElement} element - The movie card element
+   * @returns {{imdb?: string, tmdb?: string, tvdb?: string}} - Known IDs, empty if none
+   */
+  extractExternalIds(element) {
+    return extractIdsFromLinks(element);
+  }
+
   /**
    * Returns the parent element for badge injection
    * @param {HTMLElement} element - The movie card element
@@ -53,11 +92,21 @@ export default class BaseAdapter {
     return element;
   }
 
+  /**
+   * Returns where the badge sits relative to its parent
+   * @param {HTMLElement} element - The movie card element
+   * @returns {'corner'|'inline'|'overlay'} - Top right corner, right after the content, or centered over it
+   */
+  getBadgePlacement(element) {
+    return 'corner';
+  }
+
   /**
    * Returns custom CSS styles for the badge
+   * @param {HTMLElement} element - The movie card element
    * @returns {Object|null} - Custom styles object, or null for default styles
    */
-  getBadgeStyles() {
+  getBadgeStyles(element) {
     return null;
   }
 
@@ -0,0 +1,173 @@
+import BaseAdapter from './base-adapter.js';
+import { extractIdsFromJsonLd, mergeIds, parseIdsFromUrl } from './utils/external-ids.js';
+import { getJsonLdMediaNodes, getNodeMediaType, getNodeTitles } from './utils/structured-data.js';
+
+/**
+ * OpenGraph types describing a movie or a TV show
+ */
+const OPEN_GRAPH_MEDIA_TYPES = {
+  'video.movie': 'movie',
+  'video.tv_show': 'series'
+};
+
+/**
+ * Trailing "(2019)" year some sites put in og:title
+ */
+const TITLE_YEAR_PATTERN = /\s*\((\d{4})\)\s*$/;
+
+/**
+ * GenericAdapter - Fallback for sites without a dedicated adapter
+ *
+ * Reads the page's schema.org JSON-LD (Movie/TVSeries) or OpenGraph
+ * (video.movie/video.tv_show) metadata and badges the main heading.
+ * Pages without such metadata are left alone.
+ */
+class GenericAdapter extends BaseAdapter {
+  /**
+   * Handles any hostname; pages without metadata yield no targets
+   * @param {string} hostname - The hostname of the current page
+   * @returns {boolean} - Always true
+   */
+  canHandle(hostname) {
+    return true;
+  }
+
+  /**
+   * Returns the page heading once the page describes a movie or TV show
+   * @returns {string[]} - Array of CSS selectors
+   */
+  getTargetSelectors() {
+    return this.getMetadata() ? ['h1'] : [];
+  }
+
+  /**
+   * Extracts the title from the page metadata
+   * Only the first heading of the page is badged.
+   * @param {HTMLElement} element - The page heading
+   * @returns {string|null} - The movie title
+   */
+  extractTitle(element) {
+    if (element !== document.querySelector('h1')) return null;
+    return this.getMetadata()?.titles[0] || null;
+  }
+
+  /**
+   * Extracts the release year from the page metadata
+   * @param {HTMLElement} element - The page heading
+   * @returns {number|null} - The movie year, or null if not available
+   */
+  extractYear(element) {
+    return this.getMetadata()?.year || null;
+  }
+
+  /**
+   * Extracts alternate names listed in the structured data
+   * @param {HTMLElement} element - The page heading
+   * @returns {string[]} - Other titles of the movie
+   */
+  extractAlternateTitles(element) {
+    return this.getMetadata()?.titles.slice(1) || [];
+  }
+
+  /**
+   * Classifies the page from its schema.org or OpenGraph type
+   * @param {HTMLElement} element - The page heading
+   * @returns {'movie'|'series'|null} - The media type
+   */
+  extractMediaType(element) {
+    return this.getMetadata()?.mediaType || null;
+  }
+
+  /**
+   * Extracts numberOfSeasons from TVSeries structured data
+   * @param {HTMLElement} element - The page heading
+   * @returns {number|null} - The season count, or null if not available
+   */
+  extractSeasonCount(element) {
+    return this.getMetadata()?.seasonCount || null;
+  }
+
+  /**
+   * Extracts IMDb/TMDB IDs from structured data links and the page URL
+   * @param {HTMLElement} element - The page heading
+   * @returns {{imdb?: string, tmdb?: string}} - Known IDs
+   */
+  extractExternalIds(element) {
+    return mergeIds(extractIdsFromJsonLd(document), parseIdsFromUrl(window.location.href));
+  }
+
+  /**
+   * Shows the badge right after the heading text
+   * @param {HTMLElement} element - The page heading
+   * @returns {'inline'}
+   */
+  getBadgePlacement(element) {
+    return 'inline';
+  }
+
+  /**
+   * Reads the movie or TV show the page describes, preferring JSON-LD
+   * @returns {{titles: string[], year: number|null, mediaType: string, seasonCount: number|null}|null}
+   */
+  getMetadata() {
+    const node = getJsonLdMediaNodes(document)[0];
+    if (node) {
+      const titles = getNodeTitles(node);
+      if (titles.length === 0) return null;
+      return {
+        titles,
+        year: parseYear(node.datePublished || node.dateCreated || node.startDate || node.releasedEvent?.startDate),
+        mediaType: getNodeMediaType(node),
+        seasonCount: parseInt(node.numberOfSeasons) || null
+      };
+    }
+
+    const mediaType = OPEN_GRAPH_MEDIA_TYPES[getMetaContent('og:type')];
+    const title = getMetaContent('og:title');
+    if (!mediaType || !title) return null;
+
+    const cleanTitle = stripSiteName(title, getMetaContent('og:site_name'));
+    const titleYear = cleanTitle.match(TITLE_YEAR_PATTERN);
+    return {
+      titles: [cleanTitle.replace(TITLE_YEAR_PATTERN, '')],
+      year: parseYear(getMetaContent('video:release_date')) || (titleYear ? parseInt(titleYear[1]) : null),
+      mediaType,
+      seasonCount: null
+    };
+  }
+}
+
+/**
+ * Read a <meta property|name="..."> tag
+ * @param {string} property - The meta property
+ * @returns {string|null}
+ */
+function getMetaContent(property) {
+  const meta = document.querySelector(`meta[property="${property}"], meta[name="${property}"]`);
+  return meta?.content?.trim() || null;
+}
+
+/**
+ * Drop a " | Site" or " - Site" suffix from an OpenGraph title
+ * @param {string} title - The og:title
+ * @param {string|null} siteName - The og:site_name
+ * @returns {string}
+ */
+function stripSiteName(title, siteName) {
+  if (!siteName) return title;
+  const suffix = title.lastIndexOf(siteName);
+  if (suffix <= 0 || suffix + siteName.length !== title.length) return title;
+  return title.slice(0, suffix).replace(/\s+[|\-–—]\s*$/, '').trim() || title;
+}
+
+/**
+ * Take the year from an ISO date or bare year
+ * @param {string|number|undefined} value - Date value
+ * @returns {number|null}
+ */
+function parseYear(value) {
+  const match = String(value || '').match(/\d{4}/);
+  return match ? parseInt(match[0]) : null;
+}
+
+export default new GenericAdapter();
@@ -1,4 +1,6 @@
 import BaseAdapter from './base-adapter.js';
+import { extractIdsFromJsonLd, extractIdsFromLinks, mergeIds, parseIdsFromUrl } from './utils/external-ids.js';
+import { getJsonLdMediaNodes, getNodeMediaType, getNodeTitles } from './utils/structured-data.js';
 
 /**
  * IMDBAdapter - Handles movie detection on IMDB.com
@@ -42,6 +44,68 @@ class IMDBAdapter extends BaseAdapter {
     return heroYear ? parseInt(heroYear) : null;
   }
 
+  /**
+   * Extracts the "Original title" line under the hero heading and JSON-LD alternate names
+   * @param {HTMLElement} element - The movie card element
+   * @returns {string[]} - Other titles of the movie, empty for poster cards
+   */
+  extractAlternateTitles(element) {
+    if (element.dataset.testid !== 'hero__primary-text') return [];
+
+    const titles = [];
+    const heading = element.closest('h1') || element;
+    for (const sibling of heading.parentElement?.children || []) {
+      const match = sibling.textContent.match(/^\s*Original title:\s*(.+?)\s*$/i);
+      if (match) titles.push(match[1]);
+    }
+    for (const node of getJsonLdMediaNodes(document)) {
+      titles.push(...getNodeTitles(node));
+    }
+
+    const displayTitle = element.textContent.trim();
+    return [...new Set(titles)].filter(title => title !== displayTitle);
+  }
+
+  /**
+   * Classifies the hero title from the page's structured data; cards are ambiguous
+   * @param {HTMLElement} element - The movie card element
+   * @returns {'movie'|'series'|null} - The media type, or null for poster cards
+   */
+  extractMediaType(element) {
+    if (element.dataset.testid !== 'hero__primary-text') return null;
+
+    const [node] = getJsonLdMediaNodes(document);
+    if (node) return getNodeMediaType(node);
+
+    const heroMeta = document.querySelector('[data-testid="hero__primary-text"] + ul')?.textContent || '';
+    return /tv (mini )?series/i.test(heroMeta) ? 'series' : 'movie';
+  }
+
+  /**
+   * Extracts the season count from the episodes section of a series page
+   * @param {HTMLElement} element - The series card element
+   * @returns {number|null} - The season count, or null if not available
+   */
+  extractSeasonCount(element) {
+    if (element.dataset.testid !== 'hero__primary-text') return null;
+
+    const episodesSection = document.querySelector('[data-testid="episodes-browse-episodes"]');
+    const match = episodesSection?.textContent.match(/(\d+)\s+seasons?/i);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Extracts external IDs from the page URL and JSON-LD (hero) or card links
+   * @param {HTMLElement} element - The movie card element
+   * @returns {{imdb?: string, tmdb?: string}} - Known IDs, empty if none
+   */
+  extractExternalIds(element) {
+    if (element.dataset.testid === 'hero__primary-text') {
+      return mergeIds(parseIdsFromUrl(window.location.pathname), extractIdsFromJsonLd(document));
+    }
+    return extractIdsFromLinks(element);
+  }
+
   /**
    * Returns the parent element for badge injection
    * @param {HTMLElement} element - The movie card element
@@ -0,0 +1,181 @@
+import BaseAdapter from './base-adapter.js';
+import { extractIdsFromLinks, mergeIds } from './utils/external-ids.js';
+
+/**
+ * Elements carrying Letterboxd's film data attributes (old and new poster markup)
+ */
+const FILM_DATA_SELECTOR = '[data-film-slug], [data-item-slug], [data-film-name], [data-item-name]';
+
+/**
+ * Trailing "(2019)" year in Letterboxd display names
+ */
+const DISPLAY_YEAR_PATTERN = /\s*\((\d{4})\)\s*$/;
+
+/**
+ * LetterboxdAdapter - Handles movie detection on Letterboxd.com
+ *
+ * Covers film pages, poster grids (films, lists, watchlists) and diary rows.
+ */
+class LetterboxdAdapter extends BaseAdapter {
+  /**
+   * Determines if this adapter can handle the given hostname
+   * @param {string} hostname - The hostname of the current page
+   * @returns {boolean} - True if this adapter can handle the hostname
+   */
+  canHandle(hostname) {
+    return hostname.includes('letterboxd.com');
+  }
+
+  /**
+   * Returns CSS selectors for movie card elements
+   * @returns {string[]} - Array of CSS selectors
+   */
+  getTargetSelectors() {
+    return ['#film-page-wrapper', '.poster-container', 'li.griditem', 'tr.diary-entry-row'];
+  }
+
+  /**
+   * Extracts the movie title from a card element
+   * @param {HTMLElement} element - The movie card element
+   * @returns {string} - The movie title
+   */
+  extractTitle(element) {
+    if (this.isFilmPage(element)) {
+      return document.querySelector('.film-header-group .name, h1.headline-1 .name, h1.filmtitle')?.textContent;
+    }
+
+    if (element.matches('tr.diary-entry-row')) {
+      const diaryTitle = element.querySelector('.td-film-details h3 a, .td-film-details .name a')?.textContent;
+      if (diaryTitle) return diaryTitle;
+    }
+
+    const data = this.getFilmData(element);
+    const name = data?.dataset.filmName || data?.dataset.itemName;
+    if (name) return name.replace(DISPLAY_YEAR_PATTERN, '');
+
+    const alt = element.querySelector('img[alt]')?.alt;
+    if (alt) return alt.replace(/^Poster for\s+/i, '').replace(DISPLAY_YEAR_PATTERN, '');
+
+    return this.titleFromSlug(this.getSlug(element));
+  }
+
+  /**
+   * Extracts the movie year from a card element
+   * @param {HTMLElement} element - The movie card element
+   * @returns {number|null} - The movie year, or null if not available
+   */
+  extractYear(element) {
+    if (this.isFilmPage(element)) {
+      const yearText = document.querySelector('.releaseyear a, .releasedate a')?.textContent;
+      return yearText ? parseInt(yearText) : null;
+    }
+
+    if (element.matches('tr.diary-entry-row')) {
+      const yearText = element.querySelector('.td-released')?.textContent;
+      if (yearText && /\d{4}/.test(yearText)) return parseInt(yearText.match(/\d{4}/)[0]);
+    }
+
+    const data = this.getFilmData(element);
+    const releaseYear = data?.dataset.filmReleaseYear;
+    if (releaseYear) return parseInt(releaseYear);
+
+    const displayName = data?.dataset.itemFullDisplayName || data?.dataset.itemName || data?.dataset.filmName || '';
+    const displayMatch = displayName.match(DISPLAY_YEAR_PATTERN);
+    if (displayMatch) return parseInt(displayMatch[1]);
+
+    // Slugs of films sharing a title are disambiguated with the year: "dune-2021"
+    const slugMatch = this.getSlug(element)?.match(/-(\d{4})$/);
+    return slugMatch ? parseInt(slugMatch[1]) : null;
+  }
+
+  /**
+   * Extracts the original title shown under the film page heading
+   * @param {HTMLElement} element - The movie card element
+   * @returns {string[]} - Other titles of the movie, empty for posters
+   */
+  extractAlternateTitles(element) {
+    if (!this.isFilmPage(element)) return [];
+
+    const originalTitle = document.querySelector('.originalname')?.textContent.trim();
+    return originalTitle ? [originalTitle] : [];
+  }
+
+  /**
+   * Classifies the film page using the TMDB type Letterboxd puts on <body>
+   * @param {HTMLElement} element - The movie card element
+   * @returns {'movie'|'series'} - The media type
+   */
+  extractMediaType(element) {
+    if (this.isFilmPage(element) && document.body.dataset.tmdbType === 'tv') {
+      return 'series';
+    }
+    return 'movie';
+  }
+
+  /**
+   * Extracts the TMDB ID from <body> and IMDb/TMDB links of the film page
+   * @param {HTMLElement} element - The movie card element
+   * @returns {{imdb?: string, tmdb?: string}} - Known IDs, empty for posters
+   */
+  extractExternalIds(element) {
+    if (!this.isFilmPage(element)) return {};
+
+    const tmdbId = document.body.dataset.tmdbId;
+    return mergeIds(tmdbId ? { tmdb: tmdbId } : {}, extractIdsFromLinks(element));
+  }
+
+  /**
+   * Returns the parent element for badge injection
+   * @param {HTMLElement} element - The movie card element
+   * @returns {HTMLElement} - The parent element to inject the badge into
+   */
+  getBadgeParent(element) {
+    if (this.isFilmPage(element)) {
+      return document.querySelector('#js-poster-col .film-poster, .poster-list .film-poster, .film-poster');
+    }
+    return element.querySelector('.film-poster, .poster, .react-component') || element;
+  }
+
+  /**
+   * Checks whether the element is the film page wrapper
+   * @param {HTMLElement} element - The movie card element
+   * @returns {boolean}
+   */
+  isFilmPage(element) {
+    return element.id === 'film-page-wrapper';
+  }
+
+  /**
+   * Finds the element carrying the film data attributes
+   * @param {HTMLElement} element - The movie card element
+   * @returns {HTMLElement|null}
+   */
+  getFilmData(element) {
+    return element.matches(FILM_DATA_SELECTOR) ? element : element.querySelector(FILM_DATA_SELECTOR);
+  }
+
+  /**
+   * Returns the film slug (e.g. "the-godfather-part-ii")
+   * @param {HTMLElement} element - The movie card element
+   * @returns {string|null}
+   */
+  getSlug(element) {
+    const data = this.getFilmData(element);
+    const slug = data?.dataset.filmSlug || data?.dataset.itemSlug;
+    if (slug) return slug.replace(/^\/?film\//, '').replace(/\/$/, '');
+
+    const link = element.querySelector('a[href*="/film/"]')?.getAttribute('href');
+    return link?.match(/\/film\/([^/]+)/)?.[1] || null;
+  }
+
+  /**
+   * Turns a slug into a searchable title, dropping the disambiguating year
+   * @param {string|null} slug - The film slug
+   * @returns {string|null}
+   */
+  titleFromSlug(slug) {
+    return slug ? slug.replace(/-\d{4}$/, '').replace(/-/g, ' ') : null;
+  }
+}
+
+export default new LetterboxdAdapter();
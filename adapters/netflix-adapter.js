@@ -34,6 +34,27 @@ class NetflixAdapter extends BaseAdapter {
     return cardTitle || detailTitle;
   }
 
+  /**
+   * Classifies the card; only the detail view shows a season count or duration
+   * @param {HTMLElement} element - The movie card element
+   * @returns {'movie'|'series'|null} - The media type, or null for small cards
+   */
+  extractMediaType(element) {
+    const duration = element.querySelector('.duration')?.textContent;
+    if (!duration) return null;
+    return /seasons?|episodes?|limited series/i.test(duration) ? 'series' : 'movie';
+  }
+
+  /**
+   * Extracts the season count shown in the detail view (e.g. "3 Seasons")
+   * @param {HTMLElement} element - The series card element
+   * @returns {number|null} - The season count, or null if not available
+   */
+  extractSeasonCount(element) {
+    const match = element.querySelector('.duration')?.textContent.match(/(\d+)\s+seasons?/i);
+    return match ? parseInt(match[1]) : null;
+  }
+
   /**
    * Returns the parent element for badge injection
    * @param {HTMLElement} element - The movie card element
@@ -0,0 +1,99 @@
+import BaseAdapter from './base-adapter.js';
+import { ruleMatchesHostname } from './utils/site-rules.js';
+
+/**
+ * Default year pattern: the first four-digit year in the text
+ */
+const DEFAULT_YEAR_PATTERN = '\\b(19\\d{2}|20\\d{2})\\b';
+
+/**
+ * RuleAdapter - Adapter built at runtime from a user-defined site rule
+ *
+ * See utils/site-rules.js for the rule format.
+ */
+export default class RuleAdapter extends BaseAdapter {
+  /**
+   * @param {Object} rule - Normalized site rule
+   */
+  constructor(rule) {
+    super();
+    this.rule = rule;
+    this.titlePattern = rule.titlePattern ? new RegExp(rule.titlePattern) : null;
+    this.yearPattern = new RegExp(rule.yearPattern || DEFAULT_YEAR_PATTERN);
+  }
+
+  /**
+   * Determines if this adapter can handle the given hostname
+   * @param {string} hostname - The hostname of the current page
+   * @returns {boolean} - True if the rule covers the hostname
+   */
+  canHandle(hostname) {
+    return ruleMatchesHostname(this.rule, hostname);
+  }
+
+  /**
+   * Returns CSS selectors for movie card elements
+   * @returns {string[]} - Array of CSS selectors
+   */
+  getTargetSelectors() {
+    return [this.rule.cardSelector];
+  }
+
+  /**
+   * Extracts the title with the rule's selector and pattern
+   * @param {HTMLElement} element - The movie card element
+   * @returns {string|null} - The movie title
+   */
+  extractTitle(element) {
+    const text = this.getText(element, this.rule.titleSelector);
+    if (!text || !this.titlePattern) return text;
+
+    const match = text.match(this.titlePattern);
+    return match ? (match[1] ?? match[0]) : null;
+  }
+
+  /**
+   * Extracts the year with the rule's selector and pattern
+   * @param {HTMLElement} element - The movie card element
+   * @returns {number|null} - The movie year, or null if not available
+   */
+  extractYear(element) {
+    const text = this.getText(element, this.rule.yearSelector);
+    const match = text?.match(this.yearPattern);
+    const year = match ? parseInt(match[1] ?? match[0]) : NaN;
+    return Number.isNaN(year) ? null : year;
+  }
+
+  /**
+   * Returns the media type declared by the rule
+   * @param {HTMLElement} element - The movie card element
+   * @returns {'movie'|'series'|null} - The media type, or null to try both
+   */
+  extractMediaType(element) {
+    return this.rule.mediaType || null;
+  }
+
+  /**
+   * Returns the parent element for badge injection
+   * @param {HTMLElement} element - The movie card element
+   * @returns {HTMLElement} - The parent element to inject the badge into
+   */
+  getBadgeParent(element) {
+    if (!this.rule.badgeParentSelector) return element;
+    return element.querySelector(this.rule.badgeParentSelector) || element;
+  }
+
+  /**
+   * Reads the text of the card, or of the element matching a selector within it
+   * Images contribute their alt text.
+   * @param {HTMLElement} element - The movie card element
+   * @param {string} selector - Optional CSS selector
+   * @returns {string|null}
+   */
+  getText(element, selector) {
+    const target = selector ? element.querySelector(selector) : element;
+    if (!target) return null;
+    const text = target.tagName === 'IMG' ? target.alt : target.textContent;
+    return text?.trim() || null;
+  }
+}
@@ -0,0 +1,140 @@
+import BaseAdapter from './base-adapter.js';
+import { extractIdsFromLinks, mergeIds, parseIdsFromUrl } from './utils/external-ids.js';
+
+/**
+ * Movie or TV page path: /movie/278-the-shawshank-redemption, /tv/1396-breaking-bad
+ */
+const TITLE_PATH_PATTERN = /^\/(movie|tv)\/\d+/;
+
+/**
+ * TMDBAdapter - Handles movie detection on themoviedb.org
+ *
+ * Covers movie/TV pages, discover and search grids, and person filmographies.
+ */
+class TMDBAdapter extends BaseAdapter {
+  /**
+   * Determines if this adapter can handle the given hostname
+   * @param {string} hostname - The hostname of the current page
+   * @returns {boolean} - True if this adapter can handle the hostname
+   */
+  canHandle(hostname) {
+    return hostname.includes('themoviedb.org');
+  }
+
+  /**
+   * Returns CSS selectors for movie card elements
+   * @returns {string[]} - Array of CSS selectors
+   */
+  getTargetSelectors() {
+    return [
+      '#original_header',       // Movie and TV pages
+      '.card.style_1',          // Discover, popular and recommendation grids
+      '.card.v4',               // Search results
+      '#known_for li',          // Person "Known For" row
+      'table.credit_group tr'   // Person filmography
+    ];
+  }
+
+  /**
+   * Extracts the movie title from a card element
+   * @param {HTMLElement} element - The movie card element
+   * @returns {string} - The movie title
+   */
+  extractTitle(element) {
+    if (this.isTitlePage(element)) {
+      return element.querySelector('.title h2 a')?.textContent;
+    }
+    return element.querySelector('.title h2, h2 a, a.tooltip bdi, p a bdi')?.textContent
+      || element.querySelector('img[alt]')?.alt;
+  }
+
+  /**
+   * Extracts the movie year from a card element
+   * @param {HTMLElement} element - The movie card element
+   * @returns {number|null} - The movie year, or null if not available
+   */
+  extractYear(element) {
+    const yearText = element.querySelector('.title .release_date, .release_date, .content p, td.year')?.textContent;
+    const match = yearText?.match(/\d{4}/);
+    return match ? parseInt(match[0]) : null;
+  }
+
+  /**
+   * Extracts the original title listed in the facts sidebar of a title page
+   * @param {HTMLElement} element - The movie card element
+   * @returns {string[]} - Other titles of the movie, empty for cards
+   */
+  extractAlternateTitles(element) {
+    if (!this.isTitlePage(element)) return [];
+
+    for (const fact of document.querySelectorAll('section.facts p')) {
+      const label = fact.querySelector('strong')?.textContent.trim();
+      if (label === 'Original Title' || label === 'Original Name') {
+        const originalTitle = fact.textContent.replace(label, '').trim();
+        return originalTitle ? [originalTitle] : [];
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Classifies the item from its /movie/ or /tv/ link
+   * @param {HTMLElement} element - The movie card element
+   * @returns {'movie'|'series'|null} - The media type
+   */
+  extractMediaType(element) {
+    const path = this.isTitlePage(element) ? window.location.pathname : this.getTitlePath(element);
+    const match = path?.match(TITLE_PATH_PATTERN);
+    if (!match) return null;
+    return match[1] === 'tv' ? 'series' : 'movie';
+  }
+
+  /**
+   * Extracts the TMDB ID from the page URL or card link, plus linked IMDb IDs
+   * @param {HTMLElement} element - The movie card element
+   * @returns {{imdb?: string, tmdb?: string}} - Known IDs
+   */
+  extractExternalIds(element) {
+    if (this.isTitlePage(element)) {
+      const socialLinks = document.querySelector('.social_links');
+      return mergeIds(
+        parseIdsFromUrl(window.location.href),
+        socialLinks ? extractIdsFromLinks(socialLinks) : {}
+      );
+    }
+    return extractIdsFromLinks(element);
+  }
+
+  /**
+   * Returns the parent element for badge injection
+   * @param {HTMLElement} element - The movie card element
+   * @returns {HTMLElement} - The parent element to inject the badge into
+   */
+  getBadgeParent(element) {
+    if (this.isTitlePage(element)) {
+      return element.querySelector('.poster_wrapper .poster, .poster') || element;
+    }
+    return element.querySelector('.image, .poster') || element;
+  }
+
+  /**
+   * Checks whether the element is the header of a movie or TV page
+   * @param {HTMLElement} element - The movie card element
+   * @returns {boolean}
+   */
+  isTitlePage(element) {
+    return element.id === 'original_header';
+  }
+
+  /**
+   * Returns the /movie/ or /tv/ path a card links to
+   * @param {HTMLElement} element - The movie card element
+   * @returns {string|null}
+   */
+  getTitlePath(element) {
+    const link = element.querySelector('a[href^="/movie/"], a[href^="/tv/"]');
+    return link?.getAttribute('href') || null;
+  }
+}
+
+export default new TMDBAdapter();
@@ -0,0 +1,142 @@
+import BaseAdapter from './base-adapter.js';
+import { extractIdsFromLinks } from './utils/external-ids.js';
+
+/**
+ * Grid item types that belong to a TV show
+ */
+const SERIES_ITEM_TYPES = ['show', 'season', 'episode'];
+
+/**
+ * TraktAdapter - Handles movie detection on trakt.tv
+ *
+ * Covers movie/show pages and the poster grids used by lists,
+ * watchlists, recommendations and calendars.
+ */
+class TraktAdapter extends BaseAdapter {
+  /**
+   * Determines if this adapter can handle the given hostname
+   * @param {string} hostname - The hostname of the current page
+   * @returns {boolean} - True if this adapter can handle the hostname
+   */
+  canHandle(hostname) {
+    return hostname.includes('trakt.tv');
+  }
+
+  /**
+   * Returns CSS selectors for movie card elements
+   * @returns {string[]} - Array of CSS selectors
+   */
+  getTargetSelectors() {
+    return ['#summary-wrapper', '.grid-item[data-type]'];
+  }
+
+  /**
+   * Extracts the movie title from a card element
+   * @param {HTMLElement} element - The movie card element
+   * @returns {string} - The movie title
+   */
+  extractTitle(element) {
+    const heading = this.isSummary(element)
+      ? element.querySelector('h1')
+      : element.querySelector('.titles h3');
+    if (!heading) return element.querySelector('meta[itemprop="name"]')?.content;
+
+    // Headings end with a <span class="year">; keep only the title text
+    const clone = heading.cloneNode(true);
+    clone.querySelectorAll('.year, .certification').forEach(span => span.remove());
+    return clone.textContent;
+  }
+
+  /**
+   * Extracts the movie year from a card element
+   * @param {HTMLElement} element - The movie card element
+   * @returns {number|null} - The movie year, or null if not available
+   */
+  extractYear(element) {
+    const yearText = element.querySelector(this.isSummary(element) ? 'h1 .year' : '.titles .year')?.textContent;
+    if (yearText) return parseInt(yearText);
+
+    // Movie slugs end with the release year: /movies/dune-2021
+    const match = this.getItemUrl(element)?.match(/\/movies\/[^/]*-(\d{4})(?:\/|$)/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Classifies the item from the grid item type or the page URL
+   * @param {HTMLElement} element - The movie card element
+   * @returns {'movie'|'series'|null} - The media type
+   */
+  extractMediaType(element) {
+    if (this.isSummary(element)) {
+      const path = window.location.pathname;
+      if (path.startsWith('/shows/')) return 'series';
+      if (path.startsWith('/movies/')) return 'movie';
+      return null;
+    }
+    return SERIES_ITEM_TYPES.includes(element.dataset.type) ? 'series' : 'movie';
+  }
+
+  /**
+   * Extracts the season count from a show page
+   * @param {HTMLElement} element - The series card element
+   * @returns {number|null} - The season count, or null if not available
+   */
+  extractSeasonCount(element) {
+    if (!this.isSummary(element)) return null;
+    const count = document.querySelector('.season-count')?.dataset.allCount;
+    return count ? parseInt(count) : null;
+  }
+
+  /**
+   * Extracts IMDb/TMDB IDs from the external links of a movie or show page
+   * @param {HTMLElement} element - The movie card element
+   * @returns {{imdb?: string, tmdb?: string}} - Known IDs, empty for grid items
+   */
+  extractExternalIds(element) {
+    if (!this.isSummary(element)) return {};
+    const links = document.querySelector('.external, #info-wrapper .external') || document.body;
+    return extractIdsFromLinks(links);
+  }
+
+  /**
+   * Returns the parent element for badge injection
+   * @param {HTMLElement} element - The movie card element
+   * @returns {HTMLElement} - The parent element to inject the badge into
+   */
+  getBadgeParent(element) {
+    if (this.isSummary(element)) {
+      return document.querySelector('.sidebar .poster') || element;
+    }
+    return element.querySelector('.poster') || element;
+  }
+
+  /**
+   * Skips grid items for people and lists
+   * @param {HTMLElement} element - The movie card element
+   * @returns {boolean} - True if the element should be processed
+   */
+  shouldProcessElement(element) {
+    if (this.isSummary(element)) return true;
+    return element.dataset.type === 'movie' || SERIES_ITEM_TYPES.includes(element.dataset.type);
+  }
+
+  /**
+   * Checks whether the element is the summary header of a movie or show page
+   * @param {HTMLElement} element - The movie card element
+   * @returns {boolean}
+   */
+  isSummary(element) {
+    return element.id === 'summary-wrapper';
+  }
+
+  /**
+   * Returns the Trakt URL of a grid item
+   * @param {HTMLElement} element - The movie card element
+   * @returns {string|null}
+   */
+  getItemUrl(element) {
+    return element.dataset.url || element.querySelector('a[href^="/movies/"]')?.getAttribute('href') || null;
+  }
+}
+
+export default new TraktAdapter();
@@ -0,0 +1,250 @@
+/**
+ * Renders badges and popovers inside shadow roots
+ *
+ * Site stylesheets cannot reach into a shadow root, so badges look the same
+ * everywhere, and our styles cannot leak into the page. Host elements are
+ * custom tags that site CSS does not target.
+ */
+
+/**
+ * Where a badge sits relative to its parent element
+ * - corner: top right corner of the parent (posters, cards)
+ * - inline: right after the parent's content (headings)
+ * - overlay: centered over the parent
+ */
+export const BADGE_PLACEMENTS = ['corner', 'inline', 'overlay'];
+
+// Class that gives a statically positioned parent a containing block for corner and overlay badges
+const ANCHOR_CLASS = 'jellyfin-badge-anchor';
+
+const BADGE_STYLESHEET = `
+:host {
+  all: initial;
+  z-index: 1000;
+}
+
+:host([data-placement="corner"]) {
+  position: absolute;
+  top: 0;
+  right: 0;
+  width: 0;
+  height: 0;
+}
+
+:host([data-placement="overlay"]) {
+  position: absolute;
+  inset: 0;
+  pointer-events: none;
+}
+
+:host([data-placement="inline"]) {
+  display: inline-block;
+  position: relative;
+  margin-left: 8px;
+  vertical-align: middle;
+}
+
+.badge {
+  min-width: 24px;
+  height: 24px;
+  padding: 0 6px;
+  box-sizing: border-box;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 4px;
+  background: rgba(0, 0, 0, 0.5);
+  backdrop-filter: blur(2px);
+  border-radius: 12px;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+  color: #fff;
+  font: 600 12px/1 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  white-space: nowrap;
+  cursor: pointer;
+  pointer-events: auto;
+}
+
+:host([data-placement="corner"]) .badge {
+  position: absolute;
+  top: 8px;
+  right: 8px;
+}
+
+:host([data-placement="overlay"]) .badge {
+  position: absolute;
+  top: 50%;
+  left: 50%;
+  transform: translate(-50%, -50%);
+}
+
+.badge.possible {
+  background: rgba(120, 90, 0, 0.6);
+  border: 1px dashed rgba(255, 200, 0, 0.9);
+}
+
+.badge.missing {
+  background: rgba(90, 90, 90, 0.6);
+  color: #ddd;
+}
+
+.badge.error {
+  background: rgba(160, 30, 40, 0.7);
+}
+
+/* Neutral spinner while the lookup is pending */
+.badge.checking {
+  cursor: default;
+}
+
+.badge.checking::after {
+  content: "";
+  width: 12px;
+  height: 12px;
+  box-sizing: border-box;
+  border: 2px solid rgba(255, 255, 255, 0.3);
+  border-top-color: #fff;
+  border-radius: 50%;
+  animation: spin 0.8s linear infinite;
+}
+
+@keyframes spin {
+  to {
+    transform: rotate(360deg);
+  }
+}
+
+.popover {
+  width: 252px;
+  padding: 8px;
+  box-sizing: border-box;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  background: #1f1f1f;
+  color: #f1f1f1;
+  border-radius: 6px;
+  box-shadow: 0 4px 16px rgba(0, 0, 0, 0.5);
+  font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  text-align: left;
+}
+
+.entry {
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+}
+
+.entry + .entry {
+  padding-top: 8px;
+  border-top: 1px solid #3a3a3a;
+}
+
+.source {
+  font-weight: 600;
+}
+
+.match {
+  color: #bbb;
+}
+
+.path {
+  font-family: monospace;
+  font-size: 12px;
+  word-break: break-all;
+  color: #ddd;
+}
+
+button {
+  align-self: flex-start;
+  padding: 4px 10px;
+  border: none;
+  border-radius: 4px;
+  background: #00a4dc;
+  color: #fff;
+  font: inherit;
+  cursor: pointer;
+}
+
+button:hover {
+  background: #0086b3;
+}
+`;
+
+/**
+ * Create a custom host element with a closed shadow root holding our stylesheet
+ * @param {string} tagName - Custom element name of the host
+ * @returns {{host: HTMLElement, root: ShadowRoot}}
+ */
+function createShadowHost(tagName) {
+  const host = document.createElement(tagName);
+  const root = host.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = BADGE_STYLESHEET;
+  root.appendChild(style);
+  return { host, root };
+}
+
+/**
+ * Add an empty badge to a parent element
+ * The parent's inline styles are never touched: a statically positioned parent
+ * gets a class that makes it the containing block, which does not move it.
+ * @param {HTMLElement} parent - Element the badge is attached to
+ * @param {Object} [options]
+ * @param {string} [options.placement='corner'] - One of BADGE_PLACEMENTS
+ * @param {Object|null} [options.styles] - CSS overrides for the badge, e.g. { right: '23px' }
+ * @returns {{host: HTMLElement, badge: HTMLElement}} The host to remove the badge with, and the badge to fill
+ */
+export function createBadge(parent, { placement = 'corner', styles = null } = {}) {
+  const { host, root } = createShadowHost('jellyfin-badge');
+  host.dataset.placement = BADGE_PLACEMENTS.includes(placement) ? placement : 'corner';
+
+  const badge = document.createElement('div');
+  badge.className = 'badge';
+  Object.assign(badge.style, styles || {});
+  root.appendChild(badge);
+
+  if (host.dataset.placement !== 'inline' && getComputedStyle(parent).position === 'static') {
+    parent.classList.add(ANCHOR_CLASS);
+  }
+  parent.appendChild(host);
+
+  return { host, badge };
+}
+
+/**
+ * Remove a badge added with createBadge()
+ * Its parent gives up the anchor class once it holds no other badge.
+ * @param {HTMLElement} host - Host returned by createBadge()
+ */
+export function removeBadge(host) {
+  const parent = host.parentElement;
+  host.remove();
+  if (parent && !parent.querySelector(':scope > jellyfin-badge')) {
+    parent.classList.remove(ANCHOR_CLASS);
+  }
+}
+
+/**
+ * Add an empty popover below an element, aligned to its right edge
+ * @param {HTMLElement} anchor - Element the popover belongs to
+ * @returns {{host: HTMLElement, popover: HTMLElement}} The host to remove the popover with, and the popover to fill
+ */
+export function createPopover(anchor) {
+  const { host, root } = createShadowHost('jellyfin-popover');
+
+  const popover = document.createElement('div');
+  popover.className = 'popover';
+  popover.setAttribute('role', 'dialog');
+  root.appendChild(popover);
+
+  const rect = anchor.getBoundingClientRect();
+  Object.assign(host.style, {
+    position: 'absolute',
+    top: `${rect.bottom + window.scrollY + 4}px`,
+    left: `${Math.max(8, rect.right + window.scrollX - 252)}px`,
+    zIndex: '2147483647'
+  });
+  document.body.appendChild(host);
+
+  return { host, popover };
+}
@@ -0,0 +1,42 @@
+/**
+ * How badges are shown on pages, chosen in the options page
+ *
+ * Settings look like:
+ * {
+ *   badges: 'owned',       // 'owned' (owned titles only) or 'all' (owned, missing and failed lookups)
+ *   showChecking: false,   // neutral spinner on cards still being looked up
+ *   dimOwned: false        // fade cards of owned titles so missing ones stand out
+ * }
+ */
+
+/**
+ * chrome.storage.local key holding the display settings
+ */
+export const DISPLAY_SETTINGS_STORAGE_KEY = 'displaySettings';
+
+/**
+ * Which titles get a badge
+ */
+export const BADGE_MODES = ['owned', 'all'];
+
+/**
+ * Defaults match the original behaviour: owned titles only, no spinner, no dimming
+ */
+export const DEFAULT_DISPLAY_SETTINGS = {
+  badges: 'owned',
+  showChecking: false,
+  dimOwned: false
+};
+
+/**
+ * Fill in defaults and drop unknown values from stored settings
+ * @param {Object} [settings] - Settings as stored
+ * @returns {{badges: string, showChecking: boolean, dimOwned: boolean}}
+ */
+export function normalizeDisplaySettings(settings = {}) {
+  return {
+    badges: BADGE_MODES.includes(settings.badges) ? settings.badges : DEFAULT_DISPLAY_SETTINGS.badges,
+    showChecking: settings.showChecking === true,
+    dimOwned: settings.dimOwned === true
+  };
+}
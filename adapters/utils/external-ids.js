@@ -0,0 +1,67 @@
+import { getJsonLdMediaNodes } from './structured-data.js';
+
+/**
+ * Helpers for extracting external database IDs (IMDb, TMDB) from pages
+ */
+
+/**
+ * URL patterns that carry an external ID
+ */
+const ID_URL_PATTERNS = [
+  // IMDb: https://www.imdb.com/title/tt0111161/ (or relative /title/tt0111161/ on imdb.com)
+  { key: 'imdb', pattern: /(?:imdb\.com)?\/title\/(tt\d{7,})/i },
+  // TMDB: https://www.themoviedb.org/movie/278-the-shawshank-redemption
+  { key: 'tmdb', pattern: /themoviedb\.org\/(?:movie|tv)\/(\d+)/i }
+];
+
+/**
+ * Extract external IDs from a single URL
+ * @param {string} url - Absolute or relative URL
+ * @returns {{imdb?: string, tmdb?: string}} IDs found in the URL
+ */
+export function parseIdsFromUrl(url) {
+  const ids = {};
+  if (!url) return ids;
+
+  for (const { key, pattern } of ID_URL_PATTERNS) {
+    const match = url.match(pattern);
+    if (match) {
+      ids[key] = match[1].toLowerCase();
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Merge several ID maps, earlier maps taking precedence
+ * @param {...Object} idMaps - ID maps to merge
+ * @returns {Object} Merged IDs
+ */
+export function mergeIds(...idMaps) {
+  return idMaps.reduceRight((merged, ids) => ({ ...merged, ...ids }), {});
+}
+
+/**
+ * Extract external IDs from the links in (or around) an element
+ * @param {HTMLElement} element - The movie card element
+ * @returns {{imdb?: string, tmdb?: string}} IDs found in the links
+ */
+export function extractIdsFromLinks(element) {
+  const links = [element.closest('a[href]'), ...element.querySelectorAll('a[href]')];
+  return mergeIds(...links.filter(Boolean).map(link => parseIdsFromUrl(link.href)));
+}
+
+/**
+ * Extract external IDs from the page's JSON-LD Movie/TVSeries blocks
+ * @param {Document} doc - The document to read
+ * @returns {{imdb?: string, tmdb?: string}} IDs found in the structured data
+ */
+export function extractIdsFromJsonLd(doc = document) {
+  const idMaps = getJsonLdMediaNodes(doc).flatMap(node => {
+    const urls = [node.url, node['@id'], ...[].concat(node.sameAs || [])];
+    return urls.filter(url => typeof url === 'string').map(parseIdsFromUrl);
+  });
+
+  return mergeIds(...idMaps);
+}
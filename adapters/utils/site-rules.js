@@ -0,0 +1,131 @@
+/**
+ * Declarative site rules: user-defined descriptions of a site's movie cards
+ *
+ * A rule looks like:
+ * {
+ *   id: 'rule-1700000000000',
+ *   name: 'Rotten Tomatoes',
+ *   hostname: '*.rottentomatoes.com',
+ *   cardSelector: '[data-qa="discovery-media-list-item"]',
+ *   titleSelector: '[data-qa="discovery-media-list-item-title"]',
+ *   titlePattern: '',            // optional regex, first group is the title
+ *   yearSelector: '',            // optional, defaults to the card text
+ *   yearPattern: '',             // optional regex, first group is the year
+ *   mediaType: 'movie',          // 'movie', 'series' or '' (unknown)
+ *   badgeParentSelector: ''      // optional, defaults to the card
+ * }
+ */
+
+/**
+ * chrome.storage.local key holding the rule list
+ */
+export const SITE_RULES_STORAGE_KEY = 'siteRules';
+
+/**
+ * Fields a rule may carry, in export order
+ */
+export const SITE_RULE_FIELDS = [
+  'id', 'name', 'hostname', 'cardSelector', 'titleSelector', 'titlePattern',
+  'yearSelector', 'yearPattern', 'mediaType', 'badgeParentSelector'
+];
+
+/**
+ * Hostname, optionally prefixed with "*." to include subdomains
+ */
+const HOSTNAME_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+/**
+ * Media types a rule may declare
+ */
+const RULE_MEDIA_TYPES = ['', 'movie', 'series'];
+
+/**
+ * Keep only known fields, trimmed, and give the rule an ID
+ * @param {Object} rule - Rule as entered or imported
+ * @returns {Object} Normalized rule
+ */
+export function normalizeSiteRule(rule) {
+  const normalized = {};
+  for (const field of SITE_RULE_FIELDS) {
+    normalized[field] = typeof rule?.[field] === 'string' ? rule[field].trim() : '';
+  }
+  normalized.hostname = normalized.hostname.toLowerCase();
+  normalized.id = normalized.id || `rule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  return normalized;
+}
+
+/**
+ * Validate a normalized rule
+ * @param {Object} rule - Normalized rule
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateSiteRule(rule) {
+  const errors = [];
+
+  if (!rule.name) errors.push('Name is required');
+  if (!HOSTNAME_PATTERN.test(rule.hostname)) errors.push('Hostname must look like example.com or *.example.com');
+  if (!rule.cardSelector) errors.push('Card selector is required');
+  if (!rule.titleSelector && !rule.titlePattern) errors.push('Title selector or title pattern is required');
+  if (!RULE_MEDIA_TYPES.includes(rule.mediaType)) errors.push('Media type must be movie or series');
+
+  for (const field of ['cardSelector', 'titleSelector', 'yearSelector', 'badgeParentSelector']) {
+    if (rule[field] && !isValidSelector(rule[field])) errors.push(`Invalid CSS selector in ${field}`);
+  }
+  for (const field of ['titlePattern', 'yearPattern']) {
+    if (rule[field] && !isValidPattern(rule[field])) errors.push(`Invalid regular expression in ${field}`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check whether a rule applies to a hostname
+ * @param {Object} rule - Normalized rule
+ * @param {string} hostname - The hostname of the current page
+ * @returns {boolean}
+ */
+export function ruleMatchesHostname(rule, hostname) {
+  if (rule.hostname.startsWith('*.')) {
+    const domain = rule.hostname.slice(2);
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+  return hostname === rule.hostname;
+}
+
+/**
+ * Match pattern for the pages a rule applies to
+ * @param {Object} rule - Normalized rule
+ * @returns {string} Chrome match pattern
+ */
+export function getRuleMatchPattern(rule) {
+  return `*://${rule.hostname}/*`;
+}
+
+/**
+ * Check that a CSS selector parses (only where a DOM is available)
+ * @param {string} selector - CSS selector
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+  if (typeof document === 'undefined') return true;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Check that a regular expression compiles
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean}
+ */
+function isValidPattern(pattern) {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
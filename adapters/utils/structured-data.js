@@ -0,0 +1,55 @@
+/**
+ * Helpers for reading schema.org structured data (JSON-LD) from pages
+ */
+
+/**
+ * schema.org types describing a movie or a TV show
+ */
+const MEDIA_TYPES = ['Movie', 'TVSeries'];
+
+/**
+ * Collect the JSON-LD Movie/TVSeries nodes of a document
+ * @param {Document} doc - The document to read
+ * @returns {Object[]} Structured data nodes describing movies or TV shows
+ */
+export function getJsonLdMediaNodes(doc = document) {
+  const mediaNodes = [];
+
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    let data;
+    try {
+      data = JSON.parse(script.textContent);
+    } catch (e) {
+      continue;
+    }
+
+    const nodes = [].concat(data).flatMap(node => node?.['@graph'] || [node]);
+    for (const node of nodes) {
+      const types = [].concat(node?.['@type'] || []);
+      if (types.some(type => MEDIA_TYPES.includes(type))) {
+        mediaNodes.push(node);
+      }
+    }
+  }
+
+  return mediaNodes;
+}
+
+/**
+ * Get the media type of a structured data node
+ * @param {Object} node - JSON-LD node
+ * @returns {'movie'|'series'}
+ */
+export function getNodeMediaType(node) {
+  return [].concat(node['@type']).includes('TVSeries') ? 'series' : 'movie';
+}
+
+/**
+ * Get every title a structured data node is known by, main name first
+ * @param {Object} node - JSON-LD node
+ * @returns {string[]} Distinct titles
+ */
+export function getNodeTitles(node) {
+  const titles = [node.name, ...[].concat(node.alternateName || [])];
+  return [...new Set(titles.filter(title => typeof title === 'string' && title.trim()).map(title => title.trim()))];
+}
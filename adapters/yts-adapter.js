@@ -1,4 +1,5 @@
 import BaseAdapter from './base-adapter.js';
+import { extractIdsFromLinks } from './utils/external-ids.js';
 
 /**
  * YTSAdapter - Handles movie detection on YTS.bz
@@ -56,6 +57,19 @@ class YTSAdapter extends BaseAdapter {
     return yearText ? parseInt(yearText) : null;
   }
 
+  /**
+   * Extracts external IDs; the movie page links to IMDb from its info block
+   * @param {HTMLElement} element - The movie card element
+   * @returns {{imdb?: string, tmdb?: string}} - Known IDs, empty if none
+   */
+  extractExternalIds(element) {
+    if (element.id === 'movie-poster' || element.closest('#movie-poster')) {
+      const info = document.querySelector('#movie-info');
+      return info ? extractIdsFromLinks(info) : {};
+    }
+    return extractIdsFromLinks(element);
+  }
+
   /**
    * Returns the parent element for badge injection
    * @param {HTMLElement} element - The movie card element
@@ -70,6 +84,14 @@ class YTSAdapter extends BaseAdapter {
     }
     return element.querySelector('.browse-movie-link') || element;
   }
+
+  getBadgeStyles(element) {
+    // The main poster has 15px of padding around the image
+    if (element.id === 'movie-poster' || element.closest('#movie-poster')) {
+      return { right: '23px' };
+    }
+    return null;
+  }
 }
 
 export default new YTSAdapter();
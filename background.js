@@ -1,31 +1,73 @@
 // Basic background script to handle Jellyfin API requests
 
 import sourceRegistry from './sources/source-registry.js';
-import JellyfinSourceAdapter from './sources/jellyfin-source-adapter.js';
-import EmbySourceAdapter from './sources/emby-source-adapter.js';
-import PlexSourceAdapter from './sources/plex-source-adapter.js';
-import LocalSourceAdapter from './sources/local-source-adapter.js';
+import SOURCE_TYPES from './sources/source-types.js';
+import libraryIndex from './sources/library-index.js';
+import lookupCache, { CACHE_SETTINGS_STORAGE_KEY } from './sources/lookup-cache.js';
+import { limitConcurrency } from './sources/utils/concurrency.js';
+import { SourceUnavailableError } from './sources/utils/request.js';
+import { SITE_RULES_STORAGE_KEY, getRuleMatchPattern, normalizeSiteRule, validateSiteRule } from './adapters/utils/site-rules.js';
 
-// Register the Jellyfin adapter
-const jellyfinAdapter = new JellyfinSourceAdapter();
-sourceRegistry.register('jellyfin', jellyfinAdapter);
+// Periodic library resync
+const LIBRARY_SYNC_ALARM = 'library-sync';
+const LIBRARY_SYNC_INTERVAL_MINUTES = 60;
 
-// Register the Emby adapter
-const embyAdapter = new EmbySourceAdapter();
-sourceRegistry.register('emby', embyAdapter);
+// Full downloads reconcile items deleted on the server since the last one
+const FULL_SYNC_INTERVAL_MS = 24 * 60 * 60 * 1000;
 
-// Register the Plex adapter
-const plexAdapter = new PlexSourceAdapter();
-sourceRegistry.register('plex', plexAdapter);
+// Incremental syncs look back a little further to absorb server clock skew
+const SYNC_CURSOR_OVERLAP_MS = 5 * 60 * 1000;
 
-// Register the Local Files adapter
-const localAdapter = new LocalSourceAdapter();
-sourceRegistry.register('local', localAdapter);
+// Each source's sync cursor is stored under its own key, so concurrent syncs cannot overwrite each other's
+const SYNC_CURSOR_KEY_PREFIX = 'syncCursor:';
+
+// Library syncs currently running, keyed by source ID
+const syncsInProgress = new Map();
+
+// Port content scripts stream batched title checks over
+const CHECK_PORT_NAME = 'CHECK_MOVIES';
+
+// Titles checked against the sources at the same time, across all tabs
+const MAX_CONCURRENT_CHECKS = 4;
+const runCheck = limitConcurrency(MAX_CONCURRENT_CHECKS);
+
+// Title checks currently running, keyed by getCheckKey(), shared by identical requests
+const checksInFlight = new Map();
+
+// Answer to title checks sent without a title
+const MISSING_TITLE_ERROR = 'A title is required';
+
+// Toolbar badge shown while any enabled source is failing
+const WARNING_BADGE_TEXT = '!';
+const WARNING_BADGE_COLOR = '#dc3545';
+const FAILING_HEALTH_STATES = ['failing', 'unavailable', 'auth-failed'];
+
+// Last badge text and title set, to skip redundant chrome.action calls
+let actionBadgeKey = null;
+
+// Source health outlives the service worker in session storage, so a failure keeps warning after a restart
+const SOURCE_HEALTH_STORAGE_KEY = 'sourceHealth';
+let savedHealthKey = null;
+
+// Content script registered for sites enabled from the popup or covered by site rules
+const USER_SITES_SCRIPT_ID = 'user-sites';
+
+// Register the source types; each configured source gets its own adapter
+for (const [type, AdapterClass] of Object.entries(SOURCE_TYPES)) {
+  sourceRegistry.registerType(type, AdapterClass);
+}
 
 // Initialize with migration
-(async function initialize() {
+const initialized = (async function initialize() {
   await migrateJellyfinSettings();
+  await migrateSourceTypes();
+  await migrateSyncCursors();
   await initializeSources();
+  await loadCacheSettings();
+  await scheduleLibrarySync();
+  // A bad match pattern must not keep the sources from working
+  await registerUserSites().catch(error => console.error('Failed to register user sites:', error));
+  await updateActionBadge().catch(error => console.error('Failed to update toolbar badge:', error));
 })();
 
 /**
@@ -34,6 +76,7 @@ sourceRegistry.register('local', localAdapter);
 async function initializeSources() {
   const data = await chrome.storage.local.get(['sources']);
   const sources = data.sources || {};
+  registerStoredSources(sources);
   
   for (const [id, config] of Object.entries(sources)) {
     if (config.enabled) {
@@ -44,11 +87,120 @@ async function initializeSources() {
       }
     }
   }
+  
+  await restoreSourceHealth()
+    .catch(error => console.error('Failed to restore source health:', error));
+  
+  // Remove lookup-cache statistics left behind by sources deleted before their stats were cleaned up
+  await lookupCache.retainSources(Object.keys(sources))
+    .catch(error => console.error('Failed to prune the lookup cache:', error));
+}
+
+/**
+ * Create an adapter for every stored source that has none yet, and keep names current
+ * @param {Object} sources - Source settings from storage
+ */
+function registerStoredSources(sources) {
+  for (const [id, config] of Object.entries(sources)) {
+    if (sourceRegistry.getAdapter(id)) {
+      sourceRegistry.setSourceName(id, config.name);
+      continue;
+    }
+
+    try {
+      sourceRegistry.register(id, sourceRegistry.createAdapter(config.type), config.name);
+    } catch (error) {
+      console.error(`Failed to create source ${id}:`, error);
+    }
+  }
+}
+
+/**
+ * Apply the lookup cache TTLs saved on the options page
+ */
+async function loadCacheSettings() {
+  const data = await chrome.storage.local.get([CACHE_SETTINGS_STORAGE_KEY]);
+  lookupCache.configure(data[CACHE_SETTINGS_STORAGE_KEY]);
+}
+
+/**
+ * Create the periodic library sync alarm, or recreate it when its period changed
+ */
+async function scheduleLibrarySync() {
+  const existing = await chrome.alarms.get(LIBRARY_SYNC_ALARM);
+  // Installs from before the interval changed still have the alarm with the old period
+  if (existing?.periodInMinutes !== LIBRARY_SYNC_INTERVAL_MINUTES) {
+    await chrome.alarms.create(LIBRARY_SYNC_ALARM, {
+      periodInMinutes: LIBRARY_SYNC_INTERVAL_MINUTES
+    });
+  }
+}
+
+/**
+ * Register the content script for sites outside the manifest: those enabled
+ * from the popup ("enabledSites" match patterns) and those covered by site rules
+ */
+async function registerUserSites() {
+  const data = await chrome.storage.local.get(['enabledSites', SITE_RULES_STORAGE_KEY]);
+  const rulePatterns = (data[SITE_RULES_STORAGE_KEY] || [])
+    .map(rule => normalizeSiteRule(rule))
+    .filter(rule => validateSiteRule(rule).valid)
+    .map(getRuleMatchPattern);
+  const matches = [...new Set([...(data.enabledSites || []), ...rulePatterns])];
+
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [USER_SITES_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [USER_SITES_SCRIPT_ID] });
+  }
+  if (matches.length === 0) return;
+
+  await chrome.scripting.registerContentScripts([{
+    id: USER_SITES_SCRIPT_ID,
+    matches,
+    js: ['dist/content-bundled.js'],
+    css: ['content.css'],
+    runAt: 'document_idle'
+  }]);
 }
 
+// Fresh installs and updates (which may change what gets indexed) download everything
+chrome.runtime.onInstalled.addListener(() => {
+  initialized
+    .then(() => syncAllSources({ full: true }))
+    .catch(error => console.error('Initial library sync failed:', error));
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === LIBRARY_SYNC_ALARM) {
+    initialized
+      .then(() => syncAllSources())
+      .catch(error => console.error('Scheduled library sync failed:', error));
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  if (changes[CACHE_SETTINGS_STORAGE_KEY]) {
+    lookupCache.configure(changes[CACHE_SETTINGS_STORAGE_KEY].newValue);
+  }
+
+  if (changes.enabledSites || changes[SITE_RULES_STORAGE_KEY]) {
+    initialized
+      .then(() => registerUserSites())
+      .catch(error => console.error('Failed to register user sites:', error));
+  }
+
+  if (!changes.sources) return;
+  initialized
+    .then(() => applySourceChanges(changes.sources.oldValue || {}, changes.sources.newValue || {}))
+    .then(() => updateActionBadge())
+    .catch(error => console.error('Failed to apply source changes:', error));
+});
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'CHECK_MOVIE') {
-    checkAllSources(request.title, request.year)
+    checkAllSources(request.title, request.year, request.ids, request.alternateTitles)
       .then(result => sendResponse(result))
       .catch(error => {
         console.error('Error checking movie:', error);
@@ -56,59 +208,666 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
     return true; // Keep the message channel open for async response
   }
+
+  if (request.type === 'CHECK_SERIES') {
+    checkAllSources(request.title, request.year, request.ids, request.alternateTitles, 'series')
+      .then(result => sendResponse(result))
+      .catch(error => {
+        console.error('Error checking series:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // Free-text lookups from the popup, where the media type is usually unknown
+  if (request.type === 'CHECK_TITLE') {
+    if (!hasTitle(request)) {
+      sendResponse({ success: false, error: MISSING_TITLE_ERROR });
+      return;
+    }
+
+    checkTitleOnce(getCheckKey(request), request)
+      .then(result => sendResponse(result))
+      .catch(error => {
+        console.error('Error checking title:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.type === 'SYNC_LIBRARY') {
+    initialized
+      .then(() => syncAllSources({ full: true }))
+      .then(results => sendResponse({ success: true, results }))
+      .catch(error => {
+        console.error('Error syncing library:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.type === 'GET_STATUS') {
+    initialized
+      .then(() => sendResponse({ success: true, sources: getSourceStatus() }))
+      .catch(error => {
+        console.error('Error reading source status:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.type === 'GET_CACHE_STATS') {
+    getCacheStats()
+      .then(sources => sendResponse({ success: true, sources }))
+      .catch(error => {
+        console.error('Error reading cache statistics:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.type === 'CLEAR_CACHE') {
+    lookupCache.clear()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('Error clearing cache:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.type === 'GET_LIBRARY_STATUS') {
+    initialized
+      .then(() => getLibraryStatus())
+      .then(sources => sendResponse({ success: true, sources }))
+      .catch(error => {
+        console.error('Error reading library status:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+});
+
+// Batched checks: results are posted back one title at a time as they finish
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== CHECK_PORT_NAME) return;
+
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+  });
+
+  port.onMessage.addListener(message => {
+    if (message.type !== 'CHECK_MOVIES') return;
+
+    const requests = message.requests || [];
+    const answered = new Set();
+    const postResult = (requestIds, result) => {
+      requestIds.forEach(id => answered.add(id));
+      if (connected) {
+        port.postMessage({ type: 'CHECK_RESULT', requestIds, result });
+      }
+    };
+
+    // Requests the batch failed to answer still get an error, so their cards stop waiting
+    checkBatch(requests, postResult).catch(error => {
+      console.error('Error checking titles:', error);
+      const unanswered = requests.map(request => request?.id).filter(id => !answered.has(id));
+      postResult(unanswered, { success: false, error: error.message });
+    });
+  });
 });
 
 /**
- * Check all active sources for a movie
- * @param {string} title - Movie title
- * @param {number|string} year - Movie year
+ * Check a batch of titles, reporting each distinct title as soon as it is answered
+ * Identical requests in the batch (or already running for another tab) are checked once.
+ * @param {Object[]} requests - Requests with id, title, year, ids, alternateTitles and mediaType
+ * @param {function(number[], Object): void} onResult - Receives the request IDs a result answers
+ * @returns {Promise<void>} Resolves when every title was reported
+ */
+async function checkBatch(requests, onResult) {
+  const groups = new Map();
+  for (const request of requests) {
+    if (!hasTitle(request)) {
+      onResult([request?.id], { success: false, error: MISSING_TITLE_ERROR });
+      continue;
+    }
+
+    const key = getCheckKey(request);
+    if (!groups.has(key)) {
+      groups.set(key, { request, requestIds: [] });
+    }
+    groups.get(key).requestIds.push(request.id);
+  }
+
+  await Promise.all(Array.from(groups, async ([key, { request, requestIds }]) => {
+    let result;
+    try {
+      result = await checkTitleOnce(key, request);
+    } catch (error) {
+      console.error('Error checking title:', error);
+      result = { success: false, error: error.message };
+    }
+    onResult(requestIds, result);
+  }));
+}
+
+/**
+ * Whether a title check request names a title to look for
+ * @param {Object} request - Title check request
+ * @returns {boolean}
+ */
+function hasTitle(request) {
+  return typeof request?.title === 'string' && request.title.trim() !== '';
+}
+
+/**
+ * Key identifying requests that are answered the same way
+ * @param {Object} request - Title check request
+ * @returns {string}
+ */
+function getCheckKey({ title, year, ids, alternateTitles, mediaType }) {
+  return JSON.stringify([mediaType || null, title.toLowerCase(), year || null, ids || {}, alternateTitles || []]);
+}
+
+/**
+ * Check a title, joining an identical check that is already running
+ * @param {string} key - Request key from getCheckKey()
+ * @param {Object} request - Title check request
+ * @returns {Promise<Object>} Same shape as checkAllSources(), plus mediaType
+ */
+function checkTitleOnce(key, request) {
+  if (!checksInFlight.has(key)) {
+    const check = runCheck(() => checkTitle(request))
+      .finally(() => checksInFlight.delete(key));
+    checksInFlight.set(key, check);
+  }
+  return checksInFlight.get(key);
+}
+
+/**
+ * Check a title of known or unknown type
+ * Titles of unknown type are checked as a movie first, then as a series.
+ * @param {Object} request - Title check request
+ * @returns {Promise<Object>} Same shape as checkAllSources(), plus the mediaType checked
+ */
+async function checkTitle({ title, year, ids, alternateTitles, mediaType }) {
+  const typesToCheck = mediaType ? [mediaType] : ['movie', 'series'];
+  let result = null;
+
+  for (const type of typesToCheck) {
+    result = { ...(await checkAllSources(title, year, ids, alternateTitles, type)), mediaType: type };
+    if (result.found) break;
+  }
+
+  return result;
+}
+
+/**
+ * Check one source for a TV series and the seasons it holds
+ * @param {string} id - Source identifier
+ * @param {BaseSourceAdapter} adapter - Source adapter
+ * @param {string} title - Series title
+ * @param {number|string} year - Year the series started
+ * @param {Object} ids - External IDs extracted from the page
+ * @param {string[]} alternateTitles - Original or alternate titles extracted from the page
+ * @returns {Promise<{found: boolean, series?: Object}>}
+ */
+async function checkSourceForSeries(id, adapter, title, year, ids, alternateTitles) {
+  const indexed = await libraryIndex.findSeries(id, title, year, ids, alternateTitles);
+  if (!indexed) {
+    return adapter.checkSeries(title, year, ids, alternateTitles);
+  }
+
+  // Seasons change with every new episode, so they are always read live
+  if (indexed.found) {
+    indexed.series.seasons = await readSeasons(id, adapter, indexed.series.id);
+  }
+
+  return indexed;
+}
+
+/**
+ * Read the seasons of a matched series live from its source
+ * @param {string} id - Source identifier
+ * @param {BaseSourceAdapter} adapter - Source adapter
+ * @param {string} seriesId - Source-specific series identifier
+ * @returns {Promise<Array<{number: number, episodeCount: number|null}>|null>} Seasons, or null if they could not be read
+ */
+async function readSeasons(id, adapter, seriesId) {
+  try {
+    return await adapter.getSeriesSeasons(seriesId);
+  } catch (error) {
+    console.error(`Error reading seasons from ${id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Drop the seasons of a series result before it is cached, since they are always read live
+ * @param {Object} result - Source check result
+ * @returns {Object} The result without seasons
+ */
+function withoutSeasons(result) {
+  if (!result.series) return result;
+  const { seasons, ...series } = result.series;
+  return { ...result, series };
+}
+
+/**
+ * Re-configure sources after their settings changed in storage
+ * @param {Object} oldSources - Previous source settings
+ * @param {Object} newSources - Current source settings
+ */
+async function applySourceChanges(oldSources, newSources) {
+  registerStoredSources(newSources);
+
+  // Deleted sources take their index, sync cursor and cached answers with them
+  for (const id of Object.keys(oldSources)) {
+    if (newSources[id]) continue;
+    sourceRegistry.unregister(id);
+    await lookupCache.removeSource(id);
+    await libraryIndex.clearSource(id);
+    await saveSyncCursor(id, null);
+  }
+
+  for (const { id } of sourceRegistry.getAllAdapters()) {
+    const oldConfig = oldSources[id];
+    const newConfig = newSources[id];
+
+    // Cached answers may no longer hold for the new settings; a new name changes nothing
+    const configChanged = JSON.stringify(getSourceSettings(oldConfig)) !== JSON.stringify(getSourceSettings(newConfig));
+    if (configChanged) {
+      await lookupCache.clearSource(id);
+    }
+
+    if (!newConfig?.enabled) {
+      await sourceRegistry.disableSource(id);
+      continue;
+    }
+
+    // Re-configuring resets the source's health, so leave unchanged sources alone
+    const active = sourceRegistry.getActiveSources().some(source => source.id === id);
+    if (configChanged || !active) {
+      await sourceRegistry.enableSource(id);
+    }
+
+    // A snapshot taken with different credentials may belong to another server
+    if (oldConfig && hasCredentialsChanged(oldConfig, newConfig)) {
+      await libraryIndex.clearSource(id);
+      await saveSyncCursor(id, null);
+    }
+
+    if (!(await libraryIndex.hasSnapshot(id))) {
+      syncSource(id).catch(error => console.error(`Failed to sync ${id}:`, error));
+    }
+  }
+}
+
+/**
+ * Strip the fields of a source configuration that do not affect its answers
+ * @param {Object} [config] - Stored source configuration
+ * @returns {Object|undefined} Enabled flag and credentials
+ */
+function getSourceSettings(config) {
+  if (!config) return config;
+  const { name, type, ...settings } = config;
+  return settings;
+}
+
+/**
+ * Compare two source configurations, ignoring the enabled flag and name
+ * @param {Object} oldConfig - Previous configuration
+ * @param {Object} newConfig - Current configuration
+ * @returns {boolean} True if any credential differs
+ */
+function hasCredentialsChanged(oldConfig, newConfig) {
+  const { enabled: oldEnabled, ...oldCredentials } = getSourceSettings(oldConfig);
+  const { enabled: newEnabled, ...newCredentials } = getSourceSettings(newConfig);
+  return JSON.stringify(oldCredentials) !== JSON.stringify(newCredentials);
+}
+
+/**
+ * Bring the local index of a source up to date
+ *
+ * Only items changed since the stored cursor are downloaded, unless the
+ * source has no snapshot yet, cannot sync incrementally, or is due for the
+ * periodic full download that drops items deleted on the server.
+ * @param {string} id - Source identifier
+ * @param {Object} [options]
+ * @param {boolean} [options.full=false] - Force a full download
+ * @returns {Promise<{sourceId: string, sourceName: string, itemCount: number, full: boolean}>}
+ */
+function syncSource(id, { full = false } = {}) {
+  if (syncsInProgress.has(id)) {
+    return syncsInProgress.get(id);
+  }
+
+  const adapter = sourceRegistry.getAdapter(id);
+  const sync = (async () => {
+    const startedAt = Date.now();
+    const cursor = await getSyncCursor(id);
+    const needsFullSync = full
+      || !cursor
+      || !adapter.supportsIncrementalSync()
+      || startedAt - cursor.lastFullSyncAt >= FULL_SYNC_INTERVAL_MS
+      || !(await libraryIndex.hasSnapshot(id));
+
+    let itemCount;
+    let changed;
+    if (needsFullSync) {
+      const items = await adapter.fetchLibrary();
+      await libraryIndex.replaceSource(id, items);
+      itemCount = items.length;
+      changed = true;
+    } else {
+      const items = await adapter.fetchLibraryChanges(cursor.lastSyncAt - SYNC_CURSOR_OVERLAP_MS);
+      await libraryIndex.upsertItems(id, items);
+      itemCount = (await libraryIndex.getMeta(id)).itemCount;
+      changed = items.length > 0;
+    }
+
+    // Titles added (or removed) since the last sync invalidate cached answers
+    if (changed) {
+      await lookupCache.clearSource(id);
+    }
+
+    await saveSyncCursor(id, {
+      lastSyncAt: startedAt,
+      lastFullSyncAt: needsFullSync ? startedAt : cursor.lastFullSyncAt
+    });
+
+    return {
+      sourceId: id,
+      sourceName: sourceRegistry.getSourceName(id),
+      itemCount,
+      full: needsFullSync
+    };
+  })().finally(() => {
+    syncsInProgress.delete(id);
+    updateActionBadge().catch(error => console.error('Failed to update toolbar badge:', error));
+  });
+
+  syncsInProgress.set(id, sync);
+  return sync;
+}
+
+/**
+ * Sync the library of every active source
+ * @param {Object} [options] - Options passed to syncSource()
+ * @returns {Promise<Array<Object>>} Per-source sync results
+ */
+async function syncAllSources(options = {}) {
+  const activeSources = sourceRegistry.getActiveSources();
+
+  return Promise.all(activeSources.map(async ({ id }) => {
+    try {
+      return await syncSource(id, options);
+    } catch (error) {
+      console.error(`Failed to sync ${id}:`, error);
+      return {
+        sourceId: id,
+        sourceName: sourceRegistry.getSourceName(id),
+        error: error.message
+      };
+    }
+  }));
+}
+
+/**
+ * Read the sync cursor of a source
+ * @param {string} id - Source identifier
+ * @returns {Promise<{lastSyncAt: number, lastFullSyncAt: number}|null>}
+ */
+async function getSyncCursor(id) {
+  const key = `${SYNC_CURSOR_KEY_PREFIX}${id}`;
+  const data = await chrome.storage.local.get([key]);
+  return data[key] || null;
+}
+
+/**
+ * Store (or clear, when null) the sync cursor of a source
+ * @param {string} id - Source identifier
+ * @param {{lastSyncAt: number, lastFullSyncAt: number}|null} cursor
+ */
+async function saveSyncCursor(id, cursor) {
+  const key = `${SYNC_CURSOR_KEY_PREFIX}${id}`;
+  if (cursor) {
+    await chrome.storage.local.set({ [key]: cursor });
+  } else {
+    await chrome.storage.local.remove(key);
+  }
+}
+
+/**
+ * Describe the library index state of every active source
+ * @returns {Promise<Array<Object>>}
+ */
+async function getLibraryStatus() {
+  const activeSources = sourceRegistry.getActiveSources();
+
+  return Promise.all(activeSources.map(async ({ id }) => {
+    const meta = await libraryIndex.getMeta(id);
+    return {
+      sourceId: id,
+      sourceName: sourceRegistry.getSourceName(id),
+      itemCount: meta?.itemCount ?? null,
+      syncedAt: meta?.syncedAt ?? null,
+      syncing: syncsInProgress.has(id)
+    };
+  }));
+}
+
+/**
+ * Describe the lookup cache of every source that has used it
+ * @returns {Promise<Array<Object>>}
+ */
+async function getCacheStats() {
+  const stats = await lookupCache.getStats();
+  return stats.map(entry => ({
+    ...entry,
+    sourceName: sourceRegistry.getSourceName(entry.sourceId)
+  }));
+}
+
+/**
+ * Describe the health of every active source, from its recent requests
+ * @returns {Array<Object>} Per-source health (see BaseSourceAdapter.getHealth())
+ */
+function getSourceStatus() {
+  return sourceRegistry.getActiveSources().map(({ id, adapter }) => ({
+    sourceId: id,
+    sourceName: sourceRegistry.getSourceName(id),
+    ...adapter.getHealth()
+  }));
+}
+
+/**
+ * Show a warning badge on the toolbar icon while any active source is failing
+ */
+async function updateActionBadge() {
+  await saveSourceHealth();
+
+  const failing = getSourceStatus().filter(source => FAILING_HEALTH_STATES.includes(source.state));
+  const text = failing.length > 0 ? WARNING_BADGE_TEXT : '';
+  const name = chrome.runtime.getManifest().name;
+  const title = failing.length > 0
+    ? `${name}\n${failing.map(source => `${source.sourceName}: ${source.lastError || 'unavailable'}`).join('\n')}`
+    : name;
+
+  const key = `${text}|${title}`;
+  if (key === actionBadgeKey) return;
+  actionBadgeKey = key;
+
+  await chrome.action.setBadgeText({ text });
+  await chrome.action.setBadgeBackgroundColor({ color: WARNING_BADGE_COLOR });
+  await chrome.action.setTitle({ title });
+}
+
+/**
+ * Save the health of every active source for the next service worker
+ */
+async function saveSourceHealth() {
+  const health = Object.fromEntries(
+    sourceRegistry.getActiveSources().map(({ id, adapter }) => [id, adapter.health])
+  );
+
+  const key = JSON.stringify(health);
+  if (key === savedHealthKey) return;
+  savedHealthKey = key;
+
+  await chrome.storage.session.set({ [SOURCE_HEALTH_STORAGE_KEY]: health });
+}
+
+/**
+ * Give the active sources the health saved before the service worker was restarted
+ */
+async function restoreSourceHealth() {
+  const data = await chrome.storage.session.get([SOURCE_HEALTH_STORAGE_KEY]);
+  const saved = data[SOURCE_HEALTH_STORAGE_KEY] || {};
+
+  for (const { id, adapter } of sourceRegistry.getActiveSources()) {
+    if (saved[id]) {
+      adapter.restoreHealth(saved[id]);
+    }
+  }
+}
+
+/**
+ * Check one source for a movie or TV series
+ * @param {string} id - Source identifier
+ * @param {BaseSourceAdapter} adapter - Source adapter
+ * @param {string} title - Title to look up
+ * @param {number|string} year - Release year
+ * @param {Object} ids - External IDs extracted from the page
+ * @param {string[]} alternateTitles - Original or alternate titles extracted from the page
+ * @param {'movie'|'series'} mediaType - Media type to look up
+ * @returns {Promise<Object>} Per-source result as reported by checkAllSources()
+ */
+async function checkSource(id, adapter, title, year, ids, alternateTitles, mediaType) {
+  if (mediaType === 'series') {
+    const result = await checkSourceForSeries(id, adapter, title, year, ids, alternateTitles);
+    if (result.found) {
+      Object.assign(result.series, await getItemLocation(id, adapter, result.series.id, 'series'));
+    }
+    return {
+      sourceId: id,
+      sourceName: sourceRegistry.getSourceName(id),
+      found: result.found,
+      confidence: result.confidence ?? 0,
+      confident: result.confident ?? false,
+      series: result.series || null,
+      candidates: result.candidates || []
+    };
+  }
+
+  // Answer from the library index when a snapshot exists
+  const result = await libraryIndex.findMovie(id, title, year, ids, alternateTitles)
+    ?? await adapter.checkMovie(title, year, ids, alternateTitles);
+  if (result.found) {
+    Object.assign(result.movie, await getItemLocation(id, adapter, result.movie.id, 'movie'));
+  }
+  return {
+    sourceId: id,
+    sourceName: sourceRegistry.getSourceName(id),
+    found: result.found,
+    confidence: result.confidence ?? 0,
+    confident: result.confident ?? false,
+    movie: result.movie || null,
+    candidates: result.candidates || []
+  };
+}
+
+/**
+ * Link to a matched item on its source (or its path on disk), without failing
+ * the lookup if the link cannot be built
+ * @param {string} id - Source identifier
+ * @param {BaseSourceAdapter} adapter - Source adapter
+ * @param {string} itemId - Source-specific item identifier
+ * @param {'movie'|'series'} mediaType - Media type of the item
+ * @returns {Promise<{url: string|null, path: string|null}>}
+ */
+async function getItemLocation(id, adapter, itemId, mediaType) {
+  try {
+    return {
+      url: await adapter.getItemUrl(itemId),
+      path: await adapter.getItemPath(itemId, mediaType)
+    };
+  } catch (error) {
+    console.error(`Error building item link for ${id}:`, error);
+    return { url: null, path: null };
+  }
+}
+
+/**
+ * Check all active sources for a movie or TV series
+ * @param {string} title - Movie or series title
+ * @param {number|string} year - Movie year, or the year the series started
+ * @param {Object} [ids] - External IDs (imdb, tmdb, tvdb) extracted from the page
+ * @param {string[]} [alternateTitles] - Original or alternate titles extracted from the page
+ * @param {'movie'|'series'} [mediaType='movie'] - What kind of title to look for
  * @returns {Promise<Object>} Aggregated results from all sources
  */
-async function checkAllSources(title, year) {
+async function checkAllSources(title, year, ids = {}, alternateTitles = [], mediaType = 'movie') {
+  await initialized;
   const activeSources = sourceRegistry.getActiveSources();
   
   if (activeSources.length === 0) {
     return {
       success: true,
       results: [],
-      found: false
+      found: false,
+      confidence: 0,
+      confident: false,
+      errored: false
     };
   }
   
+  const cacheKey = lookupCache.buildKey(title, year, ids, alternateTitles, mediaType);
+  
   // Check all sources simultaneously
   const promises = activeSources.map(async ({ id, adapter }) => {
     try {
-      const result = await adapter.checkMovie(title, year);
-      return {
-        sourceId: id,
-        sourceName: adapter.getName(),
-        found: result.found,
-        movie: result.movie || null
-      };
+      const cached = await lookupCache.get(id, cacheKey);
+      if (cached) {
+        // The source may have been renamed since the answer was cached
+        const result = { ...cached, sourceName: sourceRegistry.getSourceName(id) };
+        if (result.series) {
+          result.series = { ...result.series, seasons: await readSeasons(id, adapter, result.series.id) };
+        }
+        return result;
+      }
+
+      const result = await checkSource(id, adapter, title, year, ids, alternateTitles, mediaType);
+      await lookupCache.set(id, cacheKey, withoutSeasons(result));
+      return result;
     } catch (error) {
+      // Errored sources are reported as such, never as "not found"
       console.error(`Error checking ${id}:`, error);
       return {
         sourceId: id,
-        sourceName: adapter.getName(),
+        sourceName: sourceRegistry.getSourceName(id),
         found: false,
-        error: error.message
+        error: error.message,
+        unavailable: error instanceof SourceUnavailableError
       };
     }
   });
   
   const sourceResults = await Promise.all(promises);
+  updateActionBadge().catch(error => console.error('Failed to update toolbar badge:', error));
   
-  // Return aggregated results
+  // Return aggregated results, scored by the best match of any source
   return {
     success: true,
     results: sourceResults,
-    found: sourceResults.some(r => r.found)
+    found: sourceResults.some(r => r.found),
+    confidence: Math.max(0, ...sourceResults.map(r => r.confidence || 0)),
+    confident: sourceResults.some(r => r.confident),
+    errored: sourceResults.some(r => r.error)
   };
 }
 
-/**
- * Migrate old Jellyfin settings to new source format
- */
 /**
  * Migrate old Jellyfin settings to new source format
  */
@@ -145,3 +904,34 @@ async function migrateJellyfinSettings() {
   }
 }
 
+/**
+ * Record the type of sources saved before several sources of one type were supported
+ * Their IDs were the type names ('jellyfin', 'plex', ...), which remain valid source IDs.
+ */
+async function migrateSourceTypes() {
+  const data = await chrome.storage.local.get(['sources']);
+  const sources = data.sources || {};
+  const types = sourceRegistry.getTypes().map(({ type }) => type);
+
+  const legacyIds = Object.keys(sources).filter(id => !sources[id].type && types.includes(id));
+  if (legacyIds.length === 0) return;
+
+  for (const id of legacyIds) {
+    sources[id] = { ...sources[id], type: id };
+  }
+  await chrome.storage.local.set({ sources });
+}
+
+/**
+ * Move the sync cursors saved in one shared "syncCursors" object to a key per source
+ */
+async function migrateSyncCursors() {
+  const data = await chrome.storage.local.get(['syncCursors']);
+  if (!data.syncCursors) return;
+
+  const cursors = Object.fromEntries(
+    Object.entries(data.syncCursors).map(([id, cursor]) => [`${SYNC_CURSOR_KEY_PREFIX}${id}`, cursor])
+  );
+  await chrome.storage.local.set(cursors);
+  await chrome.storage.local.remove('syncCursors');
+}
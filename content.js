@@ -2,71 +2,575 @@
 
 // Import adapter registry and all website adapters
 import registry from './adapters/adapter-registry.js';
+import { SITE_RULES_STORAGE_KEY } from './adapters/utils/site-rules.js';
+import { DISPLAY_SETTINGS_STORAGE_KEY, normalizeDisplaySettings } from './adapters/utils/display-settings.js';
+import { createBadge, createPopover, removeBadge } from './adapters/utils/badge-renderer.js';
 import netflixAdapter from './adapters/netflix-adapter.js';
 import imdbAdapter from './adapters/imdb-adapter.js';
 import ytsAdapter from './adapters/yts-adapter.js';
+import letterboxdAdapter from './adapters/letterboxd-adapter.js';
+import tmdbAdapter from './adapters/tmdb-adapter.js';
+import traktAdapter from './adapters/trakt-adapter.js';
+import genericAdapter from './adapters/generic-adapter.js';
 
 // Register all adapters
 registry.register(netflixAdapter);
 registry.register(imdbAdapter);
 registry.register(ytsAdapter);
+registry.register(letterboxdAdapter);
+registry.register(tmdbAdapter);
+registry.register(traktAdapter);
+
+// Sites the user enabled from the popup fall back to page metadata
+registry.registerFallback(genericAdapter);
 
 function init() {
+    // The popup may inject this script into a page that already runs it
+    if (document.documentElement.dataset.jellyfinActive) return;
+
     const hostname = window.location.hostname;
     const adapter = registry.getAdapter(hostname);
 
     if (!adapter) return;
+    document.documentElement.dataset.jellyfinActive = 'true';
+
+    // Registered cards are looked up once they approach the viewport
+    viewportObserver = new IntersectionObserver(entries => checkVisibleCards(adapter, entries), {
+        rootMargin: VIEWPORT_MARGIN
+    });
+
+    // Only the subtrees that changed since the last pass are scanned, once mutations settle
+    const observer = new MutationObserver(mutations => {
+        for (const mutation of mutations) {
+            // Added nodes, or text and attributes rewritten inside a recycled card
+            const nodes = mutation.type === 'childList' ? mutation.addedNodes : [mutation.target];
+            for (const node of nodes) {
+                const root = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+                if (root) changedRoots.add(root);
+            }
+            if (mutation.removedNodes?.length > 0) nodesRemoved = true;
+        }
+        scheduleScan(adapter);
+    });
+
+    observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: CARD_ATTRIBUTES
+    });
+
+    // Client-side navigation keeps this script running, so watch the URL
+    window.addEventListener('popstate', () => scheduleScan(adapter));
+    window.addEventListener('hashchange', () => scheduleScan(adapter));
+    window.navigation?.addEventListener('navigatesuccess', () => scheduleScan(adapter));
 
-    const observer = new MutationObserver(() => {
-        processItems(adapter);
+    // The popup lists what was found on this page
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'GET_PAGE_TITLES') {
+            sendResponse({ success: true, titles: Array.from(detectedTitles.values()) });
+        }
     });
 
-    observer.observe(document.body, { childList: true, subtree: true });
+    // Dimming follows the options right away; badge modes apply to cards checked afterwards
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[DISPLAY_SETTINGS_STORAGE_KEY]) {
+            applyDisplaySettings(changes[DISPLAY_SETTINGS_STORAGE_KEY].newValue);
+        }
+    });
+
+    // Static pages may never mutate, so check what is already there
+    processItems(adapter, [document.body]);
 }
 
-async function processItems(adapter) {
-    const selectors = adapter.getTargetSelectors();
+// User-defined site rules become adapters and display settings apply before the page is scanned
+async function loadSettings() {
+    const data = await chrome.storage.local.get([SITE_RULES_STORAGE_KEY, DISPLAY_SETTINGS_STORAGE_KEY]);
+    registry.setRules(data[SITE_RULES_STORAGE_KEY] || []);
+    applyDisplaySettings(data[DISPLAY_SETTINGS_STORAGE_KEY]);
+}
+
+// Badge display mode chosen in the options
+let displaySettings = normalizeDisplaySettings();
+
+function applyDisplaySettings(settings) {
+    displaySettings = normalizeDisplaySettings(settings);
+    document.documentElement.classList.toggle('jellyfin-dim-owned', displaySettings.dimOwned);
+}
+
+// Cards are looked up once they come within this distance of the viewport
+const VIEWPORT_MARGIN = '600px';
+
+// Nodes changed within this window are scanned in one pass
+const MUTATION_DEBOUNCE_MS = 100;
+
+// Attributes adapters read titles and IDs from; changes to them re-evaluate a card
+const CARD_ATTRIBUTES = ['alt', 'href', 'aria-label', 'title'];
+
+let viewportObserver = null;
+let changedRoots = new Set();
+let nodesRemoved = false;
+let mutationTimer = null;
+let currentUrl = window.location.href;
+
+// The current card of every registered element; replaced when the element shows another title
+const trackedCards = new Map();
+
+// Cards found within this window are checked in one batch
+const BATCH_WINDOW_MS = 50;
+
+// Port name the background listens on for batched checks
+const CHECK_PORT_NAME = 'CHECK_MOVIES';
+
+// Cards waiting for the batch window, and sent cards waiting for an answer by request ID
+let pendingCards = [];
+let batchTimer = null;
+let nextRequestId = 1;
+const awaitingCards = new Map();
+let checkPort = null;
+
+// Every title seen on the page with its latest result, by title and year
+const detectedTitles = new Map();
+
+function scheduleScan(adapter) {
+    if (mutationTimer) return;
+    mutationTimer = setTimeout(() => {
+        mutationTimer = null;
+        scanChanges(adapter);
+    }, MUTATION_DEBOUNCE_MS);
+}
+
+function scanChanges(adapter) {
+    let roots = changedRoots;
+    changedRoots = new Set();
+
+    if (window.location.href !== currentUrl) {
+        currentUrl = window.location.href;
+
+        // The popup lists the titles of the current page only
+        detectedTitles.clear();
+
+        // Page-level details (structured data, the hero) may change without touching a card
+        roots = [document.body];
+        nodesRemoved = true;
+    }
 
-    for (const selector of selectors) {
-        const items = document.querySelectorAll(selector);
+    if (nodesRemoved) {
+        nodesRemoved = false;
+        pruneCards(adapter);
+    }
 
-        for (const item of items) {
-            if (item.dataset.jellyfinChecked) continue;
-            item.dataset.jellyfinChecked = 'true';
+    processItems(adapter, roots);
+}
+
+/**
+ * Register the cards in (or around) the given subtrees with the viewport observer,
+ * re-evaluating cards that are already registered
+ */
+function processItems(adapter, roots) {
+    const selectors = adapter.getTargetSelectors();
 
-            const title = adapter.extractTitle(item);
-            const year = adapter.extractYear(item);
-            if (!title) continue;
+    for (const root of roots) {
+        if (!root.isConnected) continue;
 
-            const response = await chrome.runtime.sendMessage({
-                type: 'CHECK_MOVIE',
-                title: title.trim(),
-                year: year
-            });
+        for (const selector of selectors) {
+            // Content changed inside a card (a lazily rendered or recycled title) may complete or replace it
+            const enclosingCard = root.closest(selector);
+            if (enclosingCard) registerCard(adapter, enclosingCard);
 
-            if (response && response.success && response.results) {
-                const foundSources = response.results.filter(r => r.found);
-                if (foundSources.length > 0) {
-                    injectBadge(item, adapter.getBadgeParent(item), foundSources);
-                }
+            for (const item of root.querySelectorAll(selector)) {
+                registerCard(adapter, item);
             }
         }
     }
 }
 
-function injectBadge(item, parent, foundSources) {
-    if (!parent) return;
+function registerCard(adapter, item) {
+    const card = trackedCards.get(item);
+    if (card) {
+        refreshCard(card);
+        return;
+    }
+
+    // Placeholders and ads are left unregistered so they are picked up once filled in
+    if (!adapter.shouldProcessElement(item)) return;
+
+    trackedCards.set(item, { item, adapter, request: null, fingerprint: null, badge: null });
+    viewportObserver.observe(item);
+}
+
+/**
+ * Look the card up again if its element now shows another title
+ */
+function refreshCard(card) {
+    // Not looked up yet: it is read when it comes near the viewport
+    if (!card.fingerprint) return;
+
+    const request = readCard(card.adapter, card.item);
+    if (request && getFingerprint(request) === card.fingerprint) return;
 
-    const badge = document.createElement('div');
-    badge.className = 'jellyfin-badge';
+    forgetCard(card);
+    registerCard(card.adapter, card.item);
+}
+
+/**
+ * Drop the badge and state of a card; answers still on their way are ignored
+ */
+function forgetCard(card) {
+    if (card.badge) removeBadge(card.badge);
+    card.item.classList.remove('jellyfin-owned');
+    viewportObserver.unobserve(card.item);
+    trackedCards.delete(card.item);
+}
+
+/**
+ * Forget cards that left the page or no longer match the adapter's selectors
+ */
+function pruneCards(adapter) {
+    const selectors = adapter.getTargetSelectors();
+    for (const card of Array.from(trackedCards.values())) {
+        if (!card.item.isConnected || !selectors.some(selector => card.item.matches(selector))) {
+            forgetCard(card);
+        }
+    }
+}
+
+/**
+ * Read what a card shows
+ * @returns {Object|null} The check request, or null if the card has no title yet
+ */
+function readCard(adapter, item) {
+    const title = adapter.extractTitle(item);
+    if (!title) return null;
+
+    return {
+        title: title.trim(),
+        year: adapter.extractYear(item),
+        ids: adapter.extractExternalIds(item),
+        alternateTitles: adapter.extractAlternateTitles(item),
+        mediaType: adapter.extractMediaType(item)
+    };
+}
+
+/**
+ * Identify what a card shows, to notice a recycled element
+ */
+function getFingerprint(request) {
+    return JSON.stringify([request.title, request.year || null, request.ids || {}, request.mediaType || null]);
+}
+
+/**
+ * Look up the cards that came near the viewport
+ */
+function checkVisibleCards(adapter, entries) {
+    for (const entry of entries) {
+        if (!entry.isIntersecting) continue;
+
+        const card = trackedCards.get(entry.target);
+        viewportObserver.unobserve(entry.target);
+        if (!card || card.fingerprint) continue;
+
+        const request = readCard(adapter, card.item);
+        if (!request) {
+            // Not rendered yet: let a later mutation register it again
+            forgetCard(card);
+            continue;
+        }
+
+        card.request = request;
+        card.fingerprint = getFingerprint(request);
+        queueCard(card);
+    }
+}
+
+function queueCard(card) {
+    recordTitle(card.request, null);
+    if (displaySettings.showChecking && !card.badge) {
+        card.badge = injectStatusBadge(card, 'checking', 'Checking your library…');
+    }
+    pendingCards.push(card);
+    if (!batchTimer) {
+        batchTimer = setTimeout(flushBatch, BATCH_WINDOW_MS);
+    }
+}
+
+/**
+ * Send the queued cards to the background in one CHECK_MOVIES message
+ * Titles of unknown type are checked as a movie first, then as a series.
+ */
+function flushBatch() {
+    batchTimer = null;
+    const cards = pendingCards;
+    pendingCards = [];
+    if (cards.length === 0) return;
+
+    const port = getCheckPort();
+    if (!port) return;
+
+    const requests = cards.map(card => {
+        const id = nextRequestId++;
+        awaitingCards.set(id, card);
+        return { id, ...card.request };
+    });
+    port.postMessage({ type: 'CHECK_MOVIES', requests });
+}
+
+/**
+ * Open (or reuse) the port results are streamed back on
+ * The service worker closes it when it stops, so unanswered cards are resent.
+ */
+function getCheckPort() {
+    if (checkPort) return checkPort;
+
+    // The extension was reloaded or removed; this page's script is orphaned
+    if (!chrome.runtime?.id) return null;
+
+    checkPort = chrome.runtime.connect({ name: CHECK_PORT_NAME });
+    checkPort.onMessage.addListener(handleCheckResult);
+    checkPort.onDisconnect.addListener(() => {
+        checkPort = null;
+        const unanswered = Array.from(awaitingCards.values());
+        awaitingCards.clear();
+        unanswered.filter(isCurrentCard).forEach(queueCard);
+    });
+    return checkPort;
+}
+
+function handleCheckResult(message) {
+    if (message.type !== 'CHECK_RESULT') return;
+
+    for (const id of message.requestIds) {
+        const card = awaitingCards.get(id);
+        awaitingCards.delete(id);
+        if (card) showResult(card, message.result);
+    }
+}
+
+/**
+ * Remember a title for the popup, keeping an earlier result until a new one arrives
+ */
+function recordTitle(request, response) {
+    const key = JSON.stringify([request.title.toLowerCase(), request.year || null]);
+    const existing = detectedTitles.get(key);
+    detectedTitles.set(key, {
+        title: request.title,
+        year: request.year || null,
+        mediaType: response?.mediaType || request.mediaType || null,
+        result: response || existing?.result || null
+    });
+}
+
+/**
+ * Check whether a card still describes what its element shows
+ */
+function isCurrentCard(card) {
+    return trackedCards.get(card.item) === card;
+}
+
+function showResult(card, response) {
+    recordTitle(card.request, response);
+
+    // The element was recycled for another title while this one was looked up
+    if (!isCurrentCard(card)) return;
+
+    if (card.badge) removeBadge(card.badge);
+    card.badge = null;
+
+    if (response && response.success && response.results) {
+        const foundSources = response.results.filter(r => r.found);
+        if (foundSources.length > 0) {
+            const seasonCount = response.mediaType === 'series' ? card.adapter.extractSeasonCount(card.item) : null;
+            card.badge = injectBadge(card, foundSources, seasonCount);
+            if (foundSources.some(s => s.confident)) card.item.classList.add('jellyfin-owned');
+            return;
+        }
+    }
+
+    if (displaySettings.badges !== 'all') return;
+
+    // A source that could not answer may still own the title, so say so rather than "missing"
+    if (!response?.success || response.errored) {
+        const reason = response?.error || response?.results?.find(r => r.error)?.error || 'No response';
+        card.badge = injectStatusBadge(card, 'error', `Lookup failed: ${reason}`);
+    } else if (response.results.length > 0) {
+        card.badge = injectStatusBadge(card, 'missing', 'Not in your library');
+    }
+}
+
+/**
+ * Add an empty badge where and how the card's adapter wants it
+ * @returns {{host: HTMLElement, badge: HTMLElement}|null}
+ */
+function renderBadge(card) {
+    const parent = card.adapter.getBadgeParent(card.item);
+    if (!parent) return null;
+
+    return createBadge(parent, {
+        placement: card.adapter.getBadgePlacement(card.item),
+        styles: card.adapter.getBadgeStyles(card.item)
+    });
+}
+
+/**
+ * Add a badge for a title that is being checked, is missing or could not be checked
+ */
+function injectStatusBadge(card, state, tooltip) {
+    const rendered = renderBadge(card);
+    if (!rendered) return null;
+
+    const { host, badge } = rendered;
+    badge.classList.add(state);
+    badge.textContent = { missing: '✗', error: '!' }[state] || '';
+    badge.title = tooltip;
+    return host;
+}
+
+/**
+ * Summarize owned seasons as ranges, e.g. "S1–S3, S5 (of 6)"
+ */
+function formatSeasons(foundSources, seasonCount) {
+    const numbers = new Set();
+    for (const source of foundSources) {
+        for (const season of source.series?.seasons || []) {
+            numbers.add(season.number);
+        }
+    }
+    if (numbers.size === 0) return null;
+
+    const sorted = Array.from(numbers).sort((a, b) => a - b);
+    const ranges = [];
+    for (const number of sorted) {
+        const last = ranges[ranges.length - 1];
+        if (last && number === last[1] + 1) {
+            last[1] = number;
+        } else {
+            ranges.push([number, number]);
+        }
+    }
+
+    const text = ranges
+        .map(([start, end]) => start === end ? `S${start}` : `S${start}–S${end}`)
+        .join(', ');
+    return seasonCount ? `${text} (of ${seasonCount})` : text;
+}
+
+function describeMatch(source) {
+    const match = source.movie || source.series;
+    if (!match) return source.sourceName;
+    const year = match.year ? ` (${match.year})` : '';
+    return `${source.sourceName}: ${match.name}${year}, ${Math.round(source.confidence * 100)}%`;
+}
+
+function injectBadge(card, foundSources, seasonCount = null) {
+    const rendered = renderBadge(card);
+    if (!rendered) return null;
+
+    const { host, badge } = rendered;
+
+    // Only low-confidence matches: flag as a possible match rather than owned
+    const confident = foundSources.some(s => s.confident);
+    const mark = confident ? '✓' : '?';
+    if (!confident) badge.classList.add('possible');
     
-    // Show count or list of sources
+    // Show owned seasons for series, otherwise the count or list of sources
     const sourceNames = foundSources.map(s => s.sourceName).join(', ');
-    badge.textContent = `✓ ${foundSources.length > 1 ? foundSources.length + ' sources' : sourceNames}`;
-    badge.title = `Found in: ${sourceNames}`;
+    const seasons = formatSeasons(foundSources, seasonCount);
+    badge.textContent = seasons
+        ? `${mark} ${seasons}`
+        : `${mark} ${foundSources.length > 1 ? foundSources.length + ' sources' : sourceNames}`;
+    badge.title = confident
+        ? `Found in: ${sourceNames}`
+        : `Possible match in: ${foundSources.map(describeMatch).join(', ')}`;
+    
+    // Cards are usually links, so the click must not reach them
+    badge.addEventListener('click', event => {
+        event.preventDefault();
+        event.stopPropagation();
+        togglePopover(badge, foundSources);
+    });
     
-    parent.style.position = 'relative';
-    parent.appendChild(badge);
+    return host;
+}
+
+// The popover currently open, if any, and the badge it belongs to
+let openPopover = null;
+
+/**
+ * Open the details popover of a badge, or close it if it is already open
+ */
+function togglePopover(badge, foundSources) {
+    const wasOpen = openPopover?.badge === badge;
+    closePopover();
+    if (wasOpen) return;
+
+    const { host, popover } = createPopover(badge);
+    popover.append(...foundSources.map(createPopoverEntry));
+
+    // Keep clicks inside the popover from closing it or reaching the page
+    host.addEventListener('click', event => event.stopPropagation());
+
+    openPopover = { badge, host };
+    document.addEventListener('click', closePopover);
+    document.addEventListener('keydown', closePopoverOnEscape);
+}
+
+function closePopover() {
+    if (!openPopover) return;
+    openPopover.host.remove();
+    openPopover = null;
+    document.removeEventListener('click', closePopover);
+    document.removeEventListener('keydown', closePopoverOnEscape);
+}
+
+function closePopoverOnEscape(event) {
+    if (event.key === 'Escape') closePopover();
+}
+
+/**
+ * Describe one source's match, with a way to open it there
+ */
+function createPopoverEntry(source) {
+    const match = source.movie || source.series;
+    const entry = document.createElement('div');
+    entry.className = 'entry';
+
+    const name = document.createElement('div');
+    name.className = 'source';
+    name.textContent = source.confident ? source.sourceName : `${source.sourceName} (possible match)`;
+
+    const detail = document.createElement('div');
+    detail.className = 'match';
+    const year = match.year ? ` (${match.year})` : '';
+    detail.textContent = `${match.name}${year} · ${Math.round(source.confidence * 100)}%`;
+    entry.append(name, detail);
+
+    if (match.url) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = `Open in ${source.sourceName}`;
+        button.addEventListener('click', () => window.open(match.url, '_blank', 'noopener'));
+        entry.append(button);
+    } else if (match.path) {
+        // Pages cannot open local files, so show the path and offer to copy it
+        const path = document.createElement('code');
+        path.className = 'path';
+        path.textContent = match.path;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = 'Copy path';
+        button.addEventListener('click', () => {
+            navigator.clipboard.writeText(match.path)
+                .then(() => { button.textContent = 'Copied'; })
+                .catch(() => { button.textContent = 'Copy failed'; });
+        });
+        entry.append(path, button);
+    }
+
+    return entry;
 }
 
-init();
+loadSettings()
+    .catch(error => console.error('Failed to load settings:', error))
+    .finally(init);
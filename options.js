@@ -1,39 +1,186 @@
 import sourceRegistry from './sources/source-registry.js';
+import SOURCE_TYPES from './sources/source-types.js';
+import {
+  SITE_RULES_STORAGE_KEY,
+  SITE_RULE_FIELDS,
+  getRuleMatchPattern,
+  normalizeSiteRule,
+  validateSiteRule
+} from './adapters/utils/site-rules.js';
+import { CACHE_SETTINGS_STORAGE_KEY, DEFAULT_CACHE_SETTINGS } from './sources/lookup-cache.js';
+import { DISPLAY_SETTINGS_STORAGE_KEY, normalizeDisplaySettings } from './adapters/utils/display-settings.js';
 
-// Source configuration
-const sourceConfigs = {
-  jellyfin: {
-    fields: ['serverUrl', 'apiKey'],
-    adapter: () => import('./sources/jellyfin-source-adapter.js')
-  },
-  emby: {
-    fields: ['serverUrl', 'apiKey'],
-    adapter: () => import('./sources/emby-source-adapter.js')
-  },
-  plex: {
-    fields: ['serverUrl', 'token'],
-    adapter: () => import('./sources/plex-source-adapter.js')
-  },
-  local: {
-    fields: ['paths', 'recursive'],
-    adapter: () => import('./sources/local-source-adapter.js')
-  }
-};
+// Source types the options page can create sources from
+for (const [type, AdapterClass] of Object.entries(SOURCE_TYPES)) {
+  sourceRegistry.registerType(type, AdapterClass);
+}
 
 // Initialize
 async function init() {
   await loadAllSourceConfigs();
   setupEventListeners();
+  await loadSiteRules();
+  await loadCacheSettings();
+  await loadDisplaySettings();
+  await loadLibraryStatus();
+  await loadCacheStats();
+}
+
+// Create a throwaway adapter of a source type, for its form, validation and connection tests
+function createAdapter(type) {
+  return sourceRegistry.hasType(type) ? sourceRegistry.createAdapter(type) : null;
 }
 
 // Load all source configurations
 async function loadAllSourceConfigs() {
+  const typeSelect = document.getElementById('new-source-type');
+  typeSelect.replaceChildren(...sourceRegistry.getTypes().map(({ type, name }) => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = name;
+    return option;
+  }));
+  
   const data = await chrome.storage.local.get(['sources']);
   const sources = data.sources || {};
   
   for (const [sourceId, config] of Object.entries(sources)) {
-    loadSourceConfig(sourceId, config);
+    // Sources saved before several of one type were allowed are keyed by their type
+    renderSource(sourceId, { type: sourceId, ...config });
+  }
+}
+
+// Render the form of one source from its adapter's field metadata
+function renderSource(sourceId, config) {
+  const adapter = createAdapter(config.type);
+  if (!adapter) return null;
+  
+  const section = document.getElementById('source-template').content.firstElementChild.cloneNode(true);
+  section.dataset.source = sourceId;
+  section.dataset.type = config.type;
+  section.querySelector('.source-fields').append(
+    ...adapter.getRequiredFields().map(field => createFieldGroup(field))
+  );
+  section.querySelector('.status').id = `${sourceId}-status`;
+  
+  // Give every field a unique ID so several sources of one type can coexist
+  section.querySelectorAll('[data-field]').forEach(input => {
+    input.id = `${sourceId}-${input.dataset.field}`;
+  });
+  section.querySelectorAll('label[data-for]').forEach(label => {
+    label.htmlFor = `${sourceId}-${label.dataset.for}`;
+  });
+  section.querySelector('[data-field="name"]').placeholder = adapter.getName();
+  
+  section.querySelector('.sign-in-btn').addEventListener('click', () => {
+    signIn(sourceId);
+  });
+  section.querySelector('.test-btn').addEventListener('click', () => {
+    testConnection(sourceId);
+  });
+  section.querySelector('.save-btn').addEventListener('click', () => {
+    saveSourceConfig(sourceId);
+  });
+  section.querySelector('.delete-btn').addEventListener('click', () => {
+    deleteSource(sourceId);
+  });
+  
+  // Validate a field once the user has left it, then as they correct it
+  const fields = section.querySelector('.source-fields');
+  fields.addEventListener('change', event => {
+    const fieldGroup = event.target.closest('.field-group');
+    if (fieldGroup) {
+      fieldGroup.dataset.touched = 'true';
+      updateFieldVisibility(sourceId);
+      validateSourceForm(sourceId);
+    }
+    // Choices listed by the source can depend on each other, e.g. the libraries of the chosen user
+    if (event.target.dataset.loaded) {
+      loadFieldOptions(sourceId).catch(() => {});
+    }
+  });
+  fields.addEventListener('input', event => {
+    if (event.target.closest('.field-group')?.dataset.touched) {
+      validateSourceForm(sourceId);
+    }
+  });
+  
+  // Only network sources can be tested from here
+  if (adapter.getType() !== 'api') {
+    section.querySelector('.test-btn').remove();
+  }
+  if (adapter.supportsSignIn()) {
+    section.querySelector('.sign-in-btn').textContent = `Sign in with ${adapter.getName()}`;
+  } else {
+    section.querySelector('.sign-in-btn').remove();
+  }
+  
+  document.getElementById('source-list').appendChild(section);
+  loadSourceConfig(sourceId, config);
+  
+  // Name the saved choices, e.g. the user and libraries, when the source can be reached
+  if (adapter.validateCredentials(config).valid) {
+    loadFieldOptions(sourceId).catch(() => {});
+  }
+  return section;
+}
+
+// Build the input of one credential field
+function createFieldGroup(field) {
+  const group = document.createElement('div');
+  group.className = 'field-group';
+  group.dataset.key = field.key;
+  
+  let input;
+  if (field.type === 'textarea') {
+    input = document.createElement('textarea');
+    input.rows = 4;
+  } else if (field.type === 'select') {
+    input = document.createElement('select');
+  } else if (field.type === 'multiselect') {
+    input = document.createElement('div');
+    input.className = 'checklist';
+    input.dataset.multiple = 'true';
+  } else {
+    input = document.createElement('input');
+    input.type = ['url', 'password', 'checkbox'].includes(field.type) ? field.type : 'text';
+  }
+  input.dataset.field = field.key;
+  if (field.options) {
+    setFieldOptions(input, field.options);
+  }
+  if (field.placeholder) {
+    input.placeholder = field.placeholder;
+  }
+  if (field.when) {
+    group.dataset.when = JSON.stringify(field.when);
+  }
+  
+  const label = document.createElement('label');
+  if (field.type === 'checkbox') {
+    group.classList.add('checkbox-group');
+    label.append(input, field.label);
+    group.append(label);
+  } else {
+    if (field.type !== 'multiselect') {
+      label.dataset.for = field.key;
+    }
+    label.textContent = field.required ? `${field.label} *` : field.label;
+    group.append(label, input);
   }
+  
+  if (field.help) {
+    const help = document.createElement('p');
+    help.className = 'note';
+    help.textContent = field.help;
+    group.append(help);
+  }
+  
+  const error = document.createElement('div');
+  error.className = 'field-error';
+  group.append(error);
+  
+  return group;
 }
 
 // Load a single source configuration
@@ -43,74 +190,225 @@ function loadSourceConfig(sourceId, config) {
     enabledCheckbox.checked = config.enabled || false;
   }
   
-  const configData = sourceConfigs[sourceId];
-  if (configData) {
-    configData.fields.forEach(field => {
-      const input = document.getElementById(`${sourceId}-${field}`);
-      if (input) {
-        if (input.type === 'checkbox') {
-          input.checked = config[field] || false;
-        } else {
-          input.value = config[field] || '';
-        }
-      }
+  const nameInput = document.getElementById(`${sourceId}-name`);
+  if (nameInput) {
+    nameInput.value = config.name || '';
+  }
+  updateSourceTitle(sourceId);
+  
+  getSourceSection(sourceId).querySelectorAll('.source-fields [data-field]').forEach(input => {
+    const value = config[input.dataset.field];
+    if (value !== undefined) {
+      setFieldValue(input, value);
+    }
+  });
+  updateFieldVisibility(sourceId);
+}
+
+// Read the value of a generated field
+function getFieldValue(input) {
+  if (input.dataset.multiple) {
+    return Array.from(input.querySelectorAll('input:checked'), checkbox => checkbox.value);
+  }
+  return input.type === 'checkbox' ? input.checked : input.value.trim();
+}
+
+// Set the value of a generated field
+// Choices missing from a select are added under their raw value, so saved
+// choices survive until the source lists their names.
+function setFieldValue(input, value) {
+  if (input.dataset.multiple) {
+    const values = Array.isArray(value) ? value : [];
+    for (const missing of values.filter(item => !input.querySelector(`input[value="${CSS.escape(item)}"]`))) {
+      input.append(createChecklistItem({ value: missing, label: missing }));
+    }
+    input.querySelectorAll('input').forEach(checkbox => {
+      checkbox.checked = values.includes(checkbox.value);
     });
+  } else if (input.type === 'checkbox') {
+    input.checked = value || false;
+  } else {
+    if (input.tagName === 'SELECT' && !Array.from(input.options).some(option => option.value === value)) {
+      input.append(new Option(value, value));
+    }
+    input.value = value;
+  }
+}
+
+// Replace the choices of a select or multiselect field
+// Chosen values that are still offered stay chosen.
+function setFieldOptions(input, options) {
+  const value = getFieldValue(input);
+  const offered = new Set(options.map(option => option.value));
+  if (input.dataset.multiple) {
+    input.replaceChildren(...options.map(createChecklistItem));
+    setFieldValue(input, value.filter(item => offered.has(item)));
+  } else {
+    input.replaceChildren(...options.map(({ value, label }) => new Option(label, value)));
+    if (offered.has(value)) {
+      input.value = value;
+    }
   }
 }
 
+// One choice of a multiselect field
+function createChecklistItem({ value, label }) {
+  const item = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.value = value;
+  item.append(checkbox, label);
+  return item;
+}
+
+// Show only the fields that apply to the other fields' values, e.g. the sign-in method
+function updateFieldVisibility(sourceId) {
+  const section = getSourceSection(sourceId);
+  section.querySelectorAll('.source-fields .field-group[data-when]').forEach(group => {
+    const conditions = Object.entries(JSON.parse(group.dataset.when));
+    group.hidden = !conditions.every(([key, value]) => {
+      const input = section.querySelector(`.source-fields [data-field="${CSS.escape(key)}"]`);
+      return input && getFieldValue(input) === value;
+    });
+  });
+}
+
+// Fill the select fields whose choices come from the source, e.g. its users and libraries
+// Pass the adapter of a connection test to reuse its session.
+async function loadFieldOptions(sourceId, adapter = null) {
+  if (!adapter) {
+    const config = collectSourceConfig(sourceId);
+    adapter = createAdapter(config.type);
+    await adapter.configure(config);
+  }
+  
+  const section = getSourceSection(sourceId);
+  const fieldOptions = await adapter.getFieldOptions();
+  for (const [key, options] of Object.entries(fieldOptions)) {
+    const input = section.querySelector(`.source-fields [data-field="${CSS.escape(key)}"]`);
+    if (input) {
+      setFieldOptions(input, options);
+      input.dataset.loaded = 'true';
+    }
+  }
+}
+
+// Show the source's name, or its type for unnamed sources
+function updateSourceTitle(sourceId) {
+  const section = getSourceSection(sourceId);
+  const name = document.getElementById(`${sourceId}-name`).value.trim();
+  section.querySelector('.source-title').textContent = name || createAdapter(section.dataset.type).getName();
+}
+
+// Find the form of a source
+function getSourceSection(sourceId) {
+  return document.querySelector(`.source-section[data-source="${CSS.escape(sourceId)}"]`);
+}
+
 // Collect configuration for a source
 function collectSourceConfig(sourceId) {
-  const configData = sourceConfigs[sourceId];
-  const config = {};
+  const section = getSourceSection(sourceId);
+  const config = { type: section.dataset.type };
   
   const enabledCheckbox = document.getElementById(`${sourceId}-enabled`);
   config.enabled = enabledCheckbox ? enabledCheckbox.checked : false;
   
-  if (configData) {
-    configData.fields.forEach(field => {
-      const input = document.getElementById(`${sourceId}-${field}`);
-      if (input) {
-        if (input.type === 'checkbox') {
-          config[field] = input.checked;
-        } else {
-          config[field] = input.value.trim();
-        }
-      }
-    });
+  const name = document.getElementById(`${sourceId}-name`).value.trim();
+  if (name) {
+    config.name = name;
   }
   
+  section.querySelectorAll('.source-fields [data-field]').forEach(input => {
+    config[input.dataset.field] = getFieldValue(input);
+  });
+  
   return config;
 }
 
-// Test connection for a source
-async function testConnection(sourceId) {
+// Validate a source's form, showing errors next to the fields the user has touched
+// (or every field, when showAll is set)
+function validateSourceForm(sourceId, { showAll = false } = {}) {
   const config = collectSourceConfig(sourceId);
-  const configData = sourceConfigs[sourceId];
+  const validation = createAdapter(config.type).validateCredentials(config);
+  const fieldErrors = validation.fieldErrors || {};
   
-  if (!configData) {
-    showStatus(sourceId, 'Source not found', 'error');
-    return;
+  getSourceSection(sourceId).querySelectorAll('.source-fields .field-group').forEach(group => {
+    if (showAll) {
+      group.dataset.touched = 'true';
+    }
+    const message = group.dataset.touched ? fieldErrors[group.dataset.key] || '' : '';
+    group.classList.toggle('invalid', Boolean(message));
+    group.querySelector('.field-error').textContent = message;
+  });
+  
+  return { config, validation };
+}
+
+// Sign in on the source's website and fill in the credentials it hands back
+async function signIn(sourceId) {
+  const section = getSourceSection(sourceId);
+  const button = section.querySelector('.sign-in-btn');
+  const adapter = createAdapter(section.dataset.type);
+  
+  button.disabled = true;
+  showStatus(sourceId, 'Approve the sign-in in the new tab...', 'info');
+  
+  try {
+    const credentials = await adapter.signIn(url => chrome.tabs.create({ url }));
+    for (const [key, value] of Object.entries(credentials)) {
+      const input = section.querySelector(`.source-fields [data-field="${CSS.escape(key)}"]`);
+      if (input) {
+        setFieldValue(input, value);
+      }
+    }
+    
+    const { validation } = validateSourceForm(sourceId);
+    if (validation.valid) {
+      // The libraries are listed again on the next connection test if the server is not reachable yet
+      await loadFieldOptions(sourceId).catch(() => {});
+    }
+    showStatus(sourceId, 'Signed in. Save to keep the new credentials.', 'success');
+  } catch (error) {
+    showStatus(sourceId, `Sign-in failed: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
   }
+}
+
+// Ask for access to the source's server, if it has one and it is not already granted
+async function requestServerPermission(config) {
+  if (!config.serverUrl) return true;
   
-  const adapterModule = await configData.adapter();
-  const AdapterClass = adapterModule.default;
-  const adapter = new AdapterClass();
+  // Match patterns cannot hold a port; access applies to every port of the host
+  const { protocol, hostname } = new URL(config.serverUrl);
+  const origins = [`${protocol}//${hostname}/*`];
+  if (await chrome.permissions.contains({ origins })) return true;
+  return chrome.permissions.request({ origins });
+}
+
+// Test connection for a source
+async function testConnection(sourceId) {
+  const { config, validation } = validateSourceForm(sourceId, { showAll: true });
+  const adapter = createAdapter(config.type);
   
-  // Validate credentials
-  const validation = adapter.validateCredentials(config);
   if (!validation.valid) {
     showStatus(sourceId, `Validation failed: ${validation.errors.join(', ')}`, 'error');
     return;
   }
   
-  showStatus(sourceId, 'Testing connection...', 'info');
-  
   try {
+    if (!await requestServerPermission(config)) {
+      showStatus(sourceId, `Access to ${new URL(config.serverUrl).hostname} was not granted`, 'error');
+      return;
+    }
+    
+    showStatus(sourceId, 'Testing connection...', 'info');
     await adapter.configure(config);
     const result = await adapter.testConnection();
     
     if (result.success) {
       showStatus(sourceId, 'Connection successful!', 'success');
+      await loadFieldOptions(sourceId, adapter);
     } else {
       showStatus(sourceId, `Connection failed: ${result.error}`, 'error');
     }
@@ -119,41 +417,338 @@ async function testConnection(sourceId) {
   }
 }
 
-// Save configuration for a source
+// Save configuration for a source; the background applies it from storage
 async function saveSourceConfig(sourceId) {
-  const config = collectSourceConfig(sourceId);
-  const configData = sourceConfigs[sourceId];
+  const { config, validation } = validateSourceForm(sourceId, { showAll: true });
+  
+  if (!validation.valid) {
+    showStatus(sourceId, `Validation failed: ${validation.errors.join(', ')}`, 'error');
+    return;
+  }
+  
+  try {
+    if (!await requestServerPermission(config)) {
+      showStatus(sourceId, `Access to ${new URL(config.serverUrl).hostname} was not granted`, 'error');
+      return;
+    }
+    
+    await sourceRegistry.saveSourceCredentials(sourceId, config, config.enabled);
+    updateSourceTitle(sourceId);
+    showStatus(sourceId, 'Settings saved successfully!', 'success');
+  } catch (error) {
+    showStatus(sourceId, `Error saving settings: ${error.message}`, 'error');
+  }
+}
+
+// Add an empty form for a new source of the selected type; it is stored on Save
+function addSource() {
+  const type = document.getElementById('new-source-type').value;
+  const sourceId = `${type}-${Date.now()}`;
+  const section = renderSource(sourceId, { type, enabled: true });
   
-  if (!configData) {
-    showStatus(sourceId, 'Source not found', 'error');
+  section.scrollIntoView({ behavior: 'smooth' });
+  document.getElementById(`${sourceId}-name`).focus();
+}
+
+// Remove a source, its library index and its cached answers
+async function deleteSource(sourceId) {
+  const name = getSourceSection(sourceId).querySelector('.source-title').textContent;
+  if (!confirm(`Delete the source "${name}"?`)) return;
+  
+  try {
+    await sourceRegistry.deleteSourceCredentials(sourceId);
+    getSourceSection(sourceId).remove();
+  } catch (error) {
+    showStatus(sourceId, `Error deleting source: ${error.message}`, 'error');
+  }
+}
+
+// Load library index status from the background
+async function loadLibraryStatus() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_LIBRARY_STATUS' });
+  renderLibraryStatus(response?.sources || []);
+}
+
+// Render one line per active source in the library index section
+function renderLibraryStatus(sources) {
+  const list = document.getElementById('library-list');
+  if (!list) return;
+  
+  if (sources.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'No sources enabled';
+    list.replaceChildren(item);
     return;
   }
   
-  const adapterModule = await configData.adapter();
-  const AdapterClass = adapterModule.default;
-  const adapter = new AdapterClass();
+  list.replaceChildren(...sources.map(source => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    const detail = document.createElement('span');
+    
+    name.textContent = source.sourceName;
+    if (source.syncing) {
+      detail.textContent = 'Syncing...';
+    } else if (source.syncedAt) {
+      detail.textContent = `${source.itemCount} titles, synced ${new Date(source.syncedAt).toLocaleString()}`;
+    } else {
+      detail.textContent = 'Not synced yet';
+    }
+    
+    item.append(name, detail);
+    return item;
+  }));
+}
+
+// Ask the background to re-download every enabled library
+async function syncLibrary() {
+  const button = document.getElementById('sync-btn');
+  button.disabled = true;
+  showStatus('library', 'Syncing library...', 'info');
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SYNC_LIBRARY' });
+    
+    if (!response?.success) {
+      showStatus('library', `Sync failed: ${response?.error || 'No response'}`, 'error');
+      return;
+    }
+    
+    const failed = response.results.filter(result => result.error);
+    if (failed.length > 0) {
+      const details = failed.map(result => `${result.sourceName}: ${result.error}`).join(', ');
+      showStatus('library', `Sync failed for ${details}`, 'error');
+    } else {
+      showStatus('library', 'Library synced successfully!', 'success');
+    }
+  } catch (error) {
+    showStatus('library', `Error: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+    await loadLibraryStatus();
+  }
+}
+
+// Load badge display settings into the form
+async function loadDisplaySettings() {
+  const data = await chrome.storage.local.get([DISPLAY_SETTINGS_STORAGE_KEY]);
+  const settings = normalizeDisplaySettings(data[DISPLAY_SETTINGS_STORAGE_KEY]);
+  
+  document.getElementById('display-badges').value = settings.badges;
+  document.getElementById('display-showChecking').checked = settings.showChecking;
+  document.getElementById('display-dimOwned').checked = settings.dimOwned;
+}
+
+// Save badge display settings; open pages pick them up from storage
+async function saveDisplaySettings() {
+  const settings = normalizeDisplaySettings({
+    badges: document.getElementById('display-badges').value,
+    showChecking: document.getElementById('display-showChecking').checked,
+    dimOwned: document.getElementById('display-dimOwned').checked
+  });
   
-  // Validate credentials
-  const validation = adapter.validateCredentials(config);
+  await chrome.storage.local.set({ [DISPLAY_SETTINGS_STORAGE_KEY]: settings });
+  showStatus('display', 'Settings saved successfully!', 'success');
+}
+
+// Load cache TTLs into the form
+async function loadCacheSettings() {
+  const data = await chrome.storage.local.get([CACHE_SETTINGS_STORAGE_KEY]);
+  const settings = { ...DEFAULT_CACHE_SETTINGS, ...data[CACHE_SETTINGS_STORAGE_KEY] };
+  
+  Object.keys(DEFAULT_CACHE_SETTINGS).forEach(field => {
+    document.getElementById(`cache-${field}`).value = settings[field];
+  });
+}
+
+// Save cache TTLs; the background picks them up from storage
+async function saveCacheSettings() {
+  const settings = {};
+  for (const field of Object.keys(DEFAULT_CACHE_SETTINGS)) {
+    const value = Number(document.getElementById(`cache-${field}`).value);
+    if (!Number.isFinite(value) || value < 0) {
+      showStatus('cache', 'Validation failed: times must be 0 or more hours', 'error');
+      return;
+    }
+    settings[field] = value;
+  }
+  
+  await chrome.storage.local.set({ [CACHE_SETTINGS_STORAGE_KEY]: settings });
+  showStatus('cache', 'Settings saved successfully!', 'success');
+}
+
+// Load cache hit/miss statistics from the background
+async function loadCacheStats() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' });
+  const sources = response?.sources || [];
+  const list = document.getElementById('cache-list');
+  
+  if (sources.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'No lookups yet';
+    list.replaceChildren(item);
+    return;
+  }
+  
+  list.replaceChildren(...sources.map(source => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    const detail = document.createElement('span');
+    const lookups = source.hits + source.misses;
+    const hitRate = lookups > 0 ? Math.round((source.hits / lookups) * 100) : 0;
+    
+    name.textContent = source.sourceName;
+    detail.textContent = `${source.hits} hits, ${source.misses} misses (${hitRate}%), ${source.entries} cached`;
+    
+    item.append(name, detail);
+    return item;
+  }));
+}
+
+// Drop every cached answer
+async function clearCache() {
+  const response = await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' });
+  if (response?.success) {
+    showStatus('cache', 'Cache cleared', 'success');
+  } else {
+    showStatus('cache', `Error clearing cache: ${response?.error || 'No response'}`, 'error');
+  }
+  await loadCacheStats();
+}
+
+// Load site rules from storage
+async function getSiteRules() {
+  const data = await chrome.storage.local.get([SITE_RULES_STORAGE_KEY]);
+  return data[SITE_RULES_STORAGE_KEY] || [];
+}
+
+// Render the site rule list
+async function loadSiteRules() {
+  const rules = await getSiteRules();
+  const list = document.getElementById('rule-list');
+  
+  if (rules.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'No site rules';
+    list.replaceChildren(item);
+    return;
+  }
+  
+  list.replaceChildren(...rules.map(rule => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    const actions = document.createElement('span');
+    const editButton = document.createElement('button');
+    const deleteButton = document.createElement('button');
+    
+    name.textContent = `${rule.name} (${rule.hostname})`;
+    actions.className = 'rule-actions';
+    editButton.textContent = 'Edit';
+    editButton.addEventListener('click', () => fillRuleForm(rule));
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => deleteSiteRule(rule.id));
+    
+    actions.append(editButton, deleteButton);
+    item.append(name, actions);
+    return item;
+  }));
+}
+
+// Fill the rule form (inputs are rule-<field>), or clear it when no rule is given
+function fillRuleForm(rule = {}) {
+  SITE_RULE_FIELDS.forEach(field => {
+    document.getElementById(`rule-${field}`).value = rule[field] || '';
+  });
+}
+
+// Collect the rule from the form
+function collectSiteRule() {
+  const rule = {};
+  SITE_RULE_FIELDS.forEach(field => {
+    rule[field] = document.getElementById(`rule-${field}`).value;
+  });
+  return normalizeSiteRule(rule);
+}
+
+// Ask for access to the sites a set of rules covers, if not already granted
+async function requestRulePermissions(rules) {
+  const origins = [...new Set(rules.map(getRuleMatchPattern))];
+  if (await chrome.permissions.contains({ origins })) return true;
+  return chrome.permissions.request({ origins });
+}
+
+// Validate and save the rule in the form, replacing one with the same ID
+async function saveSiteRule() {
+  const rule = collectSiteRule();
+  const validation = validateSiteRule(rule);
   if (!validation.valid) {
-    showStatus(sourceId, `Validation failed: ${validation.errors.join(', ')}`, 'error');
+    showStatus('rules', `Validation failed: ${validation.errors.join(', ')}`, 'error');
     return;
   }
   
   try {
-    // Save credentials
-    await sourceRegistry.saveSourceCredentials(sourceId, config, config.enabled);
+    if (!await requestRulePermissions([rule])) {
+      showStatus('rules', `Access to ${rule.hostname} was not granted`, 'error');
+      return;
+    }
     
-    // Enable or disable the source
-    if (config.enabled) {
-      await sourceRegistry.enableSource(sourceId);
-    } else {
-      await sourceRegistry.disableSource(sourceId);
+    const rules = (await getSiteRules()).filter(existing => existing.id !== rule.id);
+    await chrome.storage.local.set({ [SITE_RULES_STORAGE_KEY]: [...rules, rule] });
+    
+    fillRuleForm();
+    await loadSiteRules();
+    showStatus('rules', 'Rule saved. Reload the site to apply it.', 'success');
+  } catch (error) {
+    showStatus('rules', `Error saving rule: ${error.message}`, 'error');
+  }
+}
+
+// Delete a site rule
+async function deleteSiteRule(ruleId) {
+  const rules = (await getSiteRules()).filter(rule => rule.id !== ruleId);
+  await chrome.storage.local.set({ [SITE_RULES_STORAGE_KEY]: rules });
+  await loadSiteRules();
+  showStatus('rules', 'Rule deleted', 'success');
+}
+
+// Download all site rules as a JSON file
+async function exportSiteRules() {
+  const rules = await getSiteRules();
+  const blob = new Blob([JSON.stringify(rules, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'site-rules.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Import site rules from a JSON file, replacing rules with the same ID
+async function importSiteRules(file) {
+  try {
+    const parsed = JSON.parse(await file.text());
+    const imported = (Array.isArray(parsed) ? parsed : parsed[SITE_RULES_STORAGE_KEY] || [])
+      .map(rule => normalizeSiteRule(rule));
+    
+    const invalid = imported.filter(rule => !validateSiteRule(rule).valid);
+    if (imported.length === 0 || invalid.length > 0) {
+      const names = invalid.map(rule => rule.name || rule.id).join(', ');
+      showStatus('rules', imported.length === 0 ? 'No rules found in file' : `Invalid rules: ${names}`, 'error');
+      return;
     }
     
-    showStatus(sourceId, 'Settings saved successfully!', 'success');
+    if (!await requestRulePermissions(imported)) {
+      showStatus('rules', 'Access to the imported sites was not granted', 'error');
+      return;
+    }
+    
+    const importedIds = new Set(imported.map(rule => rule.id));
+    const rules = (await getSiteRules()).filter(rule => !importedIds.has(rule.id));
+    await chrome.storage.local.set({ [SITE_RULES_STORAGE_KEY]: [...rules, ...imported] });
+    
+    await loadSiteRules();
+    showStatus('rules', `Imported ${imported.length} rule(s)`, 'success');
   } catch (error) {
-    showStatus(sourceId, `Error saving settings: ${error.message}`, 'error');
+    showStatus('rules', `Error importing rules: ${error.message}`, 'error');
   }
 }
 
@@ -175,20 +770,49 @@ function showStatus(sourceId, text, type) {
 
 // Setup event listeners
 function setupEventListeners() {
-  // Test connection buttons
-  document.querySelectorAll('.test-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const sourceId = btn.dataset.source;
-      testConnection(sourceId);
-    });
+  // Add source button; each source's own buttons are bound when it is rendered
+  document.getElementById('add-source-btn').addEventListener('click', () => {
+    addSource();
   });
   
-  // Save buttons
-  document.querySelectorAll('.save-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const sourceId = btn.dataset.source;
-      saveSourceConfig(sourceId);
-    });
+  // Library sync button
+  document.getElementById('sync-btn').addEventListener('click', () => {
+    syncLibrary();
+  });
+  
+  // Badge display button
+  document.getElementById('save-display-btn').addEventListener('click', () => {
+    saveDisplaySettings();
+  });
+  
+  // Cache buttons
+  document.getElementById('save-cache-btn').addEventListener('click', () => {
+    saveCacheSettings();
+  });
+  document.getElementById('clear-cache-btn').addEventListener('click', () => {
+    clearCache();
+  });
+  
+  // Site rule buttons
+  document.getElementById('save-rule-btn').addEventListener('click', () => {
+    saveSiteRule();
+  });
+  document.getElementById('new-rule-btn').addEventListener('click', () => {
+    fillRuleForm();
+  });
+  document.getElementById('export-rules-btn').addEventListener('click', () => {
+    exportSiteRules();
+  });
+  
+  const importInput = document.getElementById('import-rules-file');
+  document.getElementById('import-rules-btn').addEventListener('click', () => {
+    importInput.click();
+  });
+  importInput.addEventListener('change', () => {
+    if (importInput.files[0]) {
+      importSiteRules(importInput.files[0]);
+    }
+    importInput.value = '';
   });
 }
 
@@ -1,3 +1,274 @@
 document.getElementById('openOptionsBtn').addEventListener('click', () => {
   chrome.runtime.openOptionsPage();
 });
+
+/**
+ * Match pattern covering every page of a hostname
+ */
+function getSitePattern(hostname) {
+  return `*://${hostname}/*`;
+}
+
+/**
+ * Check whether a hostname is covered by the built-in content scripts
+ */
+function isBuiltInSite(hostname) {
+  const patterns = chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches);
+  return patterns.some(pattern => {
+    const host = pattern.split('/')[2];
+    if (host.startsWith('*.')) {
+      const domain = host.slice(2);
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+    return hostname === host;
+  });
+}
+
+/**
+ * Show the enable/disable control for the site in the active tab
+ */
+async function loadSiteSection() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.url) return;
+
+  const url = new URL(tab.url);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+  const section = document.getElementById('siteSection');
+  const status = document.getElementById('siteStatus');
+  const button = document.getElementById('toggleSiteBtn');
+  section.classList.remove('hidden');
+
+  if (isBuiltInSite(url.hostname)) {
+    status.textContent = `${url.hostname} is supported out of the box.`;
+    button.remove();
+    return;
+  }
+
+  const pattern = getSitePattern(url.hostname);
+  const data = await chrome.storage.local.get(['enabledSites']);
+  const enabled = (data.enabledSites || []).includes(pattern);
+
+  status.textContent = enabled
+    ? `Checking movie and TV pages on ${url.hostname}.`
+    : `Check movie and TV pages on ${url.hostname} using the page's metadata.`;
+  button.textContent = enabled ? 'Disable on this site' : 'Enable on this site';
+  button.onclick = () => (enabled ? disableSite(pattern) : enableSite(tab, pattern))
+    .then(loadSiteSection)
+    .catch(error => {
+      status.textContent = `Error: ${error.message}`;
+    });
+}
+
+/**
+ * Ask for access to the site, remember it and start checking the open tab
+ */
+async function enableSite(tab, pattern) {
+  const granted = await chrome.permissions.request({ origins: [pattern] });
+  if (!granted) return;
+
+  const data = await chrome.storage.local.get(['enabledSites']);
+  const enabledSites = data.enabledSites || [];
+  if (!enabledSites.includes(pattern)) {
+    await chrome.storage.local.set({ enabledSites: [...enabledSites, pattern] });
+  }
+
+  // The background registers the script for future page loads; run it now too
+  await chrome.scripting.insertCSS({ target: { tabId: tab.id }, files: ['content.css'] });
+  await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['dist/content-bundled.js'] });
+}
+
+/**
+ * Stop checking a site on future page loads
+ */
+async function disableSite(pattern) {
+  const data = await chrome.storage.local.get(['enabledSites']);
+  const enabledSites = (data.enabledSites || []).filter(site => site !== pattern);
+  await chrome.storage.local.set({ enabledSites });
+}
+
+/**
+ * Describe a source's health in one line
+ */
+function describeHealth(source) {
+  switch (source.state) {
+    case 'ok':
+      return `Working (${source.latencyMs} ms)`;
+    case 'auth-failed':
+      return 'Credentials rejected. Update them in Settings.';
+    case 'unavailable':
+      return `Unreachable, retrying shortly: ${source.lastError}`;
+    case 'failing':
+      return `Last request failed: ${source.lastError}`;
+    default:
+      return 'No requests yet';
+  }
+}
+
+/**
+ * List the health of every enabled source
+ */
+async function loadSourceStatus() {
+  const list = document.getElementById('sourceStatusList');
+  const response = await chrome.runtime.sendMessage({ type: 'GET_STATUS' });
+  const sources = response?.sources || [];
+
+  if (sources.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'No sources enabled';
+    list.replaceChildren(item);
+    return;
+  }
+
+  list.replaceChildren(...sources.map(source => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    const detail = document.createElement('span');
+
+    item.className = source.state;
+    name.className = 'source-status-name';
+    name.textContent = source.sourceName;
+    detail.className = 'source-status-detail';
+    detail.textContent = describeHealth(source);
+    if (source.lastSuccessAt) {
+      detail.title = `Last success: ${new Date(source.lastSuccessAt).toLocaleString()}`;
+    }
+
+    item.append(name, detail);
+    return item;
+  }));
+}
+
+/**
+ * Split a free-text query into a title and an optional trailing year, e.g. "Alien (1979)"
+ */
+function parseSearchQuery(query) {
+  const match = query.trim().match(/^(.+?)\s*\(?((?:19|20)\d{2})\)?$/);
+  const year = match ? parseInt(match[2]) : null;
+
+  // Years far in the future are part of the title, e.g. "Blade Runner 2049"
+  if (!year || year > new Date().getFullYear() + 5) {
+    return { title: query.trim(), year: null };
+  }
+  return { title: match[1], year };
+}
+
+/**
+ * Describe one source's answer for a title, linking to the item when it was found
+ */
+function renderSourceResult(source) {
+  const item = document.createElement('li');
+  const match = source.movie || source.series;
+
+  if (source.error) {
+    item.className = 'error';
+    item.textContent = `⚠ ${source.sourceName}: ${source.error}`;
+    return item;
+  }
+
+  if (!source.found) {
+    item.textContent = `✗ ${source.sourceName}`;
+    return item;
+  }
+
+  item.className = 'found';
+  const mark = source.confident ? '✓' : '?';
+  const label = `${source.sourceName}: ${match.name}${match.year ? ` (${match.year})` : ''}`;
+  if (match.url) {
+    const link = document.createElement('a');
+    link.href = match.url;
+    link.target = '_blank';
+    link.textContent = label;
+    item.append(`${mark} `, link);
+  } else {
+    item.textContent = `${mark} ${label}`;
+  }
+  return item;
+}
+
+/**
+ * Show a title with its owned/not-owned status per source
+ */
+function renderTitleEntry(element, { title, year, result }) {
+  const name = document.createElement('div');
+  name.className = 'title-entry-name';
+  name.textContent = year ? `${title} (${year})` : title;
+
+  const sources = document.createElement('ul');
+  sources.className = 'title-entry-sources';
+  if (!result) {
+    sources.append(Object.assign(document.createElement('li'), { textContent: 'Checking…' }));
+  } else if (!result.success) {
+    sources.append(renderSourceResult({ sourceName: 'Lookup', error: result.error }));
+  } else if (result.results.length === 0) {
+    sources.append(Object.assign(document.createElement('li'), { textContent: 'No sources enabled' }));
+  } else {
+    sources.append(...result.results.map(renderSourceResult));
+  }
+
+  element.classList.add('title-entry');
+  element.replaceChildren(name, sources);
+  return element;
+}
+
+/**
+ * List the titles the content script detected on the active tab
+ */
+async function loadPageTitles() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+
+  let response;
+  try {
+    response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_TITLES' });
+  } catch (error) {
+    // No content script runs on this page
+    return;
+  }
+
+  const titles = response?.titles || [];
+  if (titles.length === 0) return;
+
+  const list = document.getElementById('pageTitleList');
+  list.replaceChildren(...titles.map(entry => renderTitleEntry(document.createElement('li'), entry)));
+  document.getElementById('pageSection').classList.remove('hidden');
+}
+
+// Search any title with the same lookup the badges use
+document.getElementById('searchForm').addEventListener('submit', async event => {
+  event.preventDefault();
+
+  const query = document.getElementById('searchInput').value.trim();
+  let { title, year } = parseSearchQuery(query);
+  if (!title) return;
+
+  const resultElement = document.getElementById('searchResult');
+  const button = document.getElementById('searchBtn');
+  resultElement.classList.remove('hidden');
+  renderTitleEntry(resultElement, { title, year, result: null });
+  button.disabled = true;
+
+  try {
+    let result = await chrome.runtime.sendMessage({ type: 'CHECK_TITLE', title, year });
+
+    // The trailing number may be part of the title, e.g. "Wonder Woman 1984"
+    if (year && result?.success && !result.found && /\d$/.test(query)) {
+      const wholeQueryResult = await chrome.runtime.sendMessage({ type: 'CHECK_TITLE', title: query, year: null });
+      if (wholeQueryResult?.found) {
+        title = query;
+        year = null;
+        result = wholeQueryResult;
+      }
+    }
+
+    renderTitleEntry(resultElement, { title, year, result });
+  } catch (error) {
+    renderTitleEntry(resultElement, { title, year, result: { success: false, error: error.message } });
+  } finally {
+    button.disabled = false;
+  }
+});
+
+loadSiteSection();
+loadSourceStatus();
+loadPageTitles();
@@ -1,7 +1,19 @@
+import { CircuitBreaker, SourceUnavailableError, fetchWithRetry } from './utils/request.js';
+
+// HTTP statuses meaning the credentials were rejected
+const AUTH_FAILURE_STATUSES = [401, 403];
+
 /**
  * Abstract base class for all source adapters
  */
 export default class BaseSourceAdapter {
+  constructor() {
+    // Opens after repeated failed requests so an unreachable server fails fast
+    this.circuitBreaker = new CircuitBreaker();
+    this.health = null;
+    this.resetRequestState();
+  }
+
   /**
    * Return the display name of this source
    * @returns {string}
@@ -35,28 +47,229 @@ export default class BaseSourceAdapter {
     throw new Error('testConnection() must be implemented by subclass');
   }
 
+  /**
+   * Whether the source offers a sign-in on its own website that fills in its credentials
+   * @returns {boolean}
+   */
+  supportsSignIn() {
+    return false;
+  }
+
+  /**
+   * Sign in on the source's website, e.g. with a PIN, and wait until the user is done
+   * Works on an adapter that has not been configured yet.
+   * @param {(url: string) => void} openUrl - Opens the sign-in page for the user
+   * @returns {Promise<Object>} Credential fields to fill in, e.g. { token }
+   */
+  async signIn(openUrl) {
+    throw new Error('signIn() must be implemented by subclass');
+  }
+
   /**
    * Check if a movie exists in the source
    * @param {string} title - Movie title
    * @param {number} year - Movie release year
-   * @returns {Promise<{found: boolean, movie?: Object}>}
+   * @param {{imdb?: string, tmdb?: string, tvdb?: string}} [ids] - External IDs, matched before the title
+   * @param {string[]} [alternateTitles] - Original or alternate titles, compared like the title
+   * @returns {Promise<{found: boolean, confidence?: number, confident?: boolean, movie?: Object, candidates?: Object[]}>}
    */
-  async checkMovie(title, year) {
+  async checkMovie(title, year, ids, alternateTitles) {
     throw new Error('checkMovie() must be implemented by subclass');
   }
 
+  /**
+   * Check if a TV series exists in the source
+   * @param {string} title - Series title
+   * @param {number} year - Year the series started
+   * @param {{imdb?: string, tmdb?: string, tvdb?: string}} [ids] - External IDs, matched before the title
+   * @param {string[]} [alternateTitles] - Original or alternate titles, compared like the title
+   * @returns {Promise<{found: boolean, confidence?: number, confident?: boolean, series?: {id: string, name: string, year: number|null, seasons: Array<{number: number, episodeCount: number|null}>}, candidates?: Object[]}>}
+   */
+  async checkSeries(title, year, ids, alternateTitles) {
+    throw new Error('checkSeries() must be implemented by subclass');
+  }
+
+  /**
+   * List the seasons of a series that are present in the source
+   * @param {string} seriesId - Source-specific series identifier
+   * @returns {Promise<Array<{number: number, episodeCount: number|null}>>}
+   */
+  async getSeriesSeasons(seriesId) {
+    throw new Error('getSeriesSeasons() must be implemented by subclass');
+  }
+
+  /**
+   * Build a link that opens an item in the source's own web interface
+   * @param {string} itemId - Source-specific item identifier
+   * @returns {Promise<string|null>} URL, or null if the source has no web interface
+   */
+  async getItemUrl(itemId) {
+    return null;
+  }
+
+  /**
+   * Get the location of an item on disk, for sources without a web interface
+   * @param {string} itemId - Source-specific item identifier
+   * @param {'movie'|'series'} mediaType - Media type of the item
+   * @returns {Promise<string|null>} File path, or null if unknown
+   */
+  async getItemPath(itemId, mediaType) {
+    return null;
+  }
+
+  /**
+   * Download every movie and series in the source for the local library index
+   * @returns {Promise<Array<{id: string, type: 'movie'|'series', name: string, alternateNames?: string[], year: number|null, ids?: Object}>>}
+   */
+  async fetchLibrary() {
+    throw new Error('fetchLibrary() must be implemented by subclass');
+  }
+
+  /**
+   * Whether the source can report only the items changed since a point in time
+   * @returns {boolean}
+   */
+  supportsIncrementalSync() {
+    return false;
+  }
+
+  /**
+   * Download the movies and series added or changed since the given time
+   * @param {number} since - Timestamp in milliseconds of the previous sync
+   * @returns {Promise<Array<{id: string, type: 'movie'|'series', name: string, alternateNames?: string[], year: number|null, ids?: Object}>>}
+   */
+  async fetchLibraryChanges(since) {
+    throw new Error('fetchLibraryChanges() must be implemented by subclass');
+  }
+
+  /**
+   * Send an HTTP request through the shared request layer (timeout, retries, circuit breaker)
+   * The outcome is recorded in the source health.
+   * @param {string} url - Request URL
+   * @param {RequestInit} [options] - fetch() options
+   * @param {Object} [policy] - Overrides for fetchWithRetry(), e.g. { retries: 0 }
+   * @returns {Promise<Response>} An ok response
+   * @throws {RequestError|SourceUnavailableError}
+   */
+  async request(url, options = {}, policy = {}) {
+    const startedAt = Date.now();
+    try {
+      const response = await fetchWithRetry(url, options, { circuitBreaker: this.circuitBreaker, ...policy });
+      this.recordSuccess(startedAt);
+      return response;
+    } catch (error) {
+      // Requests refused by the open circuit breaker are not new failures
+      if (!(error instanceof SourceUnavailableError)) {
+        this.recordFailure(error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record in the source health that reading from the source succeeded
+   * Sources that do not go through request() call this themselves.
+   * @param {number} startedAt - When the read started, in milliseconds since the epoch
+   */
+  recordSuccess(startedAt) {
+    this.health.lastSuccessAt = Date.now();
+    this.health.latencyMs = this.health.lastSuccessAt - startedAt;
+    this.health.authFailures = 0;
+  }
+
+  /**
+   * Record in the source health that reading from the source failed
+   * @param {Error} error - The failure, with the HTTP status if there was one
+   */
+  recordFailure(error) {
+    this.health.lastErrorAt = Date.now();
+    this.health.lastError = error.message;
+    if (AUTH_FAILURE_STATUSES.includes(error.status)) {
+      this.health.authFailures++;
+    }
+  }
+
+  /**
+   * Forget past failures and health, e.g. after the source was reconfigured
+   */
+  resetRequestState() {
+    this.circuitBreaker.reset();
+    this.health = {
+      lastSuccessAt: null,
+      lastErrorAt: null,
+      lastError: null,
+      latencyMs: null,
+      authFailures: 0
+    };
+  }
+
+  /**
+   * Take over health recorded before the service worker was restarted
+   * @param {Object} health - Health fields as returned by getHealth()
+   */
+  restoreHealth({ lastSuccessAt, lastErrorAt, lastError, latencyMs, authFailures }) {
+    this.health = {
+      lastSuccessAt: lastSuccessAt ?? null,
+      lastErrorAt: lastErrorAt ?? null,
+      lastError: lastError ?? null,
+      latencyMs: latencyMs ?? null,
+      authFailures: authFailures ?? 0
+    };
+  }
+
+  /**
+   * Whether the source is accepting requests (its circuit breaker is not open)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.circuitBreaker.getState() !== 'open';
+  }
+
+  /**
+   * Describe the health of the source from its recent requests
+   * @returns {{state: 'unknown'|'ok'|'failing'|'unavailable'|'auth-failed', lastSuccessAt: number|null, lastErrorAt: number|null, lastError: string|null, latencyMs: number|null, authFailures: number}}
+   */
+  getHealth() {
+    const { lastSuccessAt, lastErrorAt, authFailures } = this.health;
+    let state = 'unknown';
+    if (authFailures > 0) {
+      state = 'auth-failed';
+    } else if (!this.isAvailable()) {
+      state = 'unavailable';
+    } else if (lastErrorAt !== null && (lastSuccessAt === null || lastErrorAt > lastSuccessAt)) {
+      state = 'failing';
+    } else if (lastSuccessAt !== null) {
+      state = 'ok';
+    }
+    return { state, ...this.health };
+  }
+
   /**
    * Return required credential fields for this source
-   * @returns {Array<{key: string, label: string, type: string, required: boolean}>}
+   * The options page renders its form from these. `type` is one of
+   * 'text', 'url', 'password', 'textarea', 'checkbox', 'select' or
+   * 'multiselect' (stored as an array of values); select fields list their
+   * choices in `options`. A field with `when` is only shown while the other
+   * fields hold the given values, e.g. { authMethod: 'password' }.
+   * @returns {Array<{key: string, label: string, type: string, required: boolean, placeholder?: string, help?: string, options?: Array<{value: string, label: string}>, when?: Object<string, string>}>}
    */
   getRequiredFields() {
     throw new Error('getRequiredFields() must be implemented by subclass');
   }
 
+  /**
+   * List choices of select fields that come from the source itself, e.g. its users
+   * Called on a configured adapter once the connection works.
+   * @returns {Promise<Object<string, Array<{value: string, label: string}>>>} Choices by field key
+   */
+  async getFieldOptions() {
+    return {};
+  }
+
   /**
    * Validate credential format before storage
    * @param {Object} config - Credentials to validate
-   * @returns {{valid: boolean, errors: string[]}}
+   * @returns {{valid: boolean, errors: string[], fieldErrors: Object<string, string>}} Errors, also keyed by field for inline display
    */
   validateCredentials(config) {
     throw new Error('validateCredentials() must be implemented by subclass');
@@ -1,11 +1,26 @@
 import BaseSourceAdapter from './base-source-adapter.js';
-import { fuzzyMatch } from './utils/fuzzy-search.js';
+import { rankMatchingItems, toMatchResult, normalizeProviderIds, collectAlternateNames } from './utils/item-matcher.js';
+
+// Number of items requested per page when downloading the full library
+const LIBRARY_PAGE_SIZE = 500;
+
+// Client details the server records for sessions started with a username and password
+const CLIENT_NAME = 'Do I Have This Movie';
+const CLIENT_VERSION = '1.0';
+
+// Library kinds that can hold movies or series (mixed libraries report no kind)
+const VIDEO_COLLECTION_TYPES = ['movies', 'tvshows', 'mixed', undefined];
+
+// Choice of the user select before the server's users are listed
+const DEFAULT_USER_OPTION = { value: '', label: 'First user on the server' };
 
 class EmbySourceAdapter extends BaseSourceAdapter {
   constructor() {
     super();
     this.config = null;
     this.userId = null;
+    this.accessToken = null;
+    this.serverId = null;
   }
 
   getName() {
@@ -18,31 +33,66 @@ class EmbySourceAdapter extends BaseSourceAdapter {
 
   getRequiredFields() {
     return [
-      { key: 'serverUrl', label: 'Server URL', type: 'url', required: true },
-      { key: 'apiKey', label: 'API Key', type: 'password', required: true }
+      { key: 'serverUrl', label: 'Server URL', type: 'url', required: true, placeholder: 'https://emby.example.com' },
+      {
+        key: 'authMethod',
+        label: 'Sign In With',
+        type: 'select',
+        required: true,
+        options: [
+          { value: 'apiKey', label: 'API key' },
+          { value: 'password', label: 'Username and password' }
+        ]
+      },
+      { key: 'apiKey', label: 'API Key', type: 'password', required: true, placeholder: 'Enter your API key', when: { authMethod: 'apiKey' } },
+      {
+        key: 'userId',
+        label: 'User',
+        type: 'select',
+        required: false,
+        options: [DEFAULT_USER_OPTION],
+        help: 'Titles are looked up in this user\'s libraries, with their parental controls. Test the connection to list the users.',
+        when: { authMethod: 'apiKey' }
+      },
+      { key: 'username', label: 'Username', type: 'text', required: true, when: { authMethod: 'password' } },
+      { key: 'password', label: 'Password', type: 'password', required: false, when: { authMethod: 'password' } },
+      {
+        key: 'libraryIds',
+        label: 'Libraries',
+        type: 'multiselect',
+        required: false,
+        options: [],
+        help: 'Only look in the checked libraries, or in all of them when none is checked. Test the connection to list the libraries.'
+      }
     ];
   }
 
   validateCredentials(config) {
-    const errors = [];
+    const fieldErrors = {};
     
     if (!config.serverUrl) {
-      errors.push('Server URL is required');
+      fieldErrors.serverUrl = 'Server URL is required';
     } else {
       try {
         new URL(config.serverUrl);
       } catch (e) {
-        errors.push('Invalid Server URL');
+        fieldErrors.serverUrl = 'Invalid Server URL';
       }
     }
     
-    if (!config.apiKey) {
-      errors.push('API Key is required');
+    if (getAuthMethod(config) === 'password') {
+      if (!config.username) {
+        fieldErrors.username = 'Username is required';
+      }
+    } else if (!config.apiKey) {
+      fieldErrors.apiKey = 'API Key is required';
     }
     
+    const errors = Object.values(fieldErrors);
     return {
       valid: errors.length === 0,
-      errors
+      errors,
+      fieldErrors
     };
   }
 
@@ -56,27 +106,25 @@ class EmbySourceAdapter extends BaseSourceAdapter {
       ...credentials,
       serverUrl: credentials.serverUrl.trim().replace(/\/$/, '')
     };
+    
+    // Failures of a previous server say nothing about this one
+    this.resetRequestState();
+    this.userId = null;
+    this.accessToken = null;
+    this.serverId = null;
   }
 
   async testConnection() {
     try {
-      const response = await fetch(
-        `${this.config.serverUrl}/Users`,
-        {
-          headers: {
-            'X-MediaBrowser-Token': this.config.apiKey
-          }
-        }
-      );
-      
-      if (response.ok) {
-        return { success: true };
+      // Report the first failure right away
+      const policy = { retries: 0, circuitBreaker: null };
+      if (getAuthMethod(this.config) === 'password') {
+        await this.authenticate(policy);
       } else {
-        return { 
-          success: false, 
-          error: `HTTP ${response.status}: ${response.statusText}` 
-        };
+        await this.authorizedRequest(`${this.config.serverUrl}/Users`, policy);
       }
+      
+      return { success: true };
     } catch (error) {
       return { 
         success: false, 
@@ -85,69 +133,267 @@ class EmbySourceAdapter extends BaseSourceAdapter {
     }
   }
 
-  async checkMovie(title, year) {
-    try {
-      const userId = await this.getUserId();
-      const searchTerm = title.toLowerCase().trim();
-      
+  async getFieldOptions() {
+    const options = {};
+    
+    // A user signed in with a password can only see themselves
+    if (getAuthMethod(this.config) === 'apiKey') {
+      const users = await this.getUsers();
+      options.userId = [DEFAULT_USER_OPTION, ...users.map(user => ({ value: user.Id, label: user.Name }))];
+    }
+    
+    const libraries = await this.getLibraries();
+    options.libraryIds = libraries.map(library => ({ value: library.Id, label: library.Name }));
+    
+    return options;
+  }
+
+  async checkMovie(title, year, ids = {}, alternateTitles = []) {
+    const items = await this.searchItems([title, ...alternateTitles], 'Movie');
+    
+    // Rank by external IDs first, then fuzzy title and year
+    return toMatchResult(rankMatchingItems(items, title, year, ids, alternateTitles));
+  }
+
+  async checkSeries(title, year, ids = {}, alternateTitles = []) {
+    const items = await this.searchItems([title, ...alternateTitles], 'Series');
+    const result = toMatchResult(rankMatchingItems(items, title, year, ids, alternateTitles), 'series');
+    
+    if (result.found) {
+      result.series.seasons = await this.getSeriesSeasons(result.series.id);
+    }
+    
+    return result;
+  }
+
+  async getSeriesSeasons(seriesId) {
+    const userId = await this.getUserId();
+    
+    const searchParams = new URLSearchParams({
+      ParentId: seriesId,
+      IncludeItemTypes: 'Season',
+      Fields: 'ChildCount'
+    });
+    
+    const response = await this.authorizedRequest(`${this.config.serverUrl}/Users/${userId}/Items?${searchParams}`);
+    
+    const data = await response.json();
+    
+    // Skip specials and the placeholder seasons shown for missing episodes
+    return (data.Items || [])
+      .filter(season => season.IndexNumber > 0 && season.LocationType !== 'Virtual')
+      .map(season => ({
+        number: season.IndexNumber,
+        episodeCount: season.ChildCount ?? null
+      }));
+  }
+
+  async searchItems(titles, itemType) {
+    const userId = await this.getUserId();
+    const itemsById = new Map();
+    
+    // The server search only looks at one spelling, so try every known title
+    for (const title of titles) {
+      for (const scope of this.getLibraryScopes()) {
+        const searchParams = new URLSearchParams({
+          searchTerm: title,
+          IncludeItemTypes: itemType,
+          Recursive: true,
+          Fields: 'ProviderIds,UserData,OriginalTitle,SortName',
+          ...scope
+        });
+        
+        const response = await this.authorizedRequest(`${this.config.serverUrl}/Users/${userId}/Items?${searchParams}`);
+        
+        const data = await response.json();
+        for (const item of data.Items || []) {
+          itemsById.set(item.Id, this.toLibraryItem(item));
+        }
+      }
+    }
+    
+    return Array.from(itemsById.values());
+  }
+
+  async getItemUrl(itemId) {
+    const serverId = await this.getServerId();
+    const searchParams = new URLSearchParams({ id: itemId, serverId });
+    return `${this.config.serverUrl}/web/index.html#!/item?${searchParams}`;
+  }
+
+  async getServerId() {
+    if (this.serverId) return this.serverId;
+    
+    const response = await this.request(`${this.config.serverUrl}/System/Info/Public`);
+    const info = await response.json();
+    this.serverId = info.Id;
+    return this.serverId;
+  }
+
+  async fetchLibrary() {
+    return this.fetchItems();
+  }
+
+  supportsIncrementalSync() {
+    return true;
+  }
+
+  async fetchLibraryChanges(since) {
+    return this.fetchItems({
+      MinDateLastSaved: new Date(since).toISOString()
+    });
+  }
+
+  async fetchItems(filters = {}) {
+    const items = [];
+    for (const scope of this.getLibraryScopes()) {
+      items.push(...await this.fetchLibraryItems({ ...filters, ...scope }));
+    }
+    return items;
+  }
+
+  async fetchLibraryItems(filters) {
+    const userId = await this.getUserId();
+    const items = [];
+    let startIndex = 0;
+    let totalRecordCount = Infinity;
+
+    while (startIndex < totalRecordCount) {
       const searchParams = new URLSearchParams({
-        searchTerm: title,
-        IncludeItemTypes: 'Movie',
+        IncludeItemTypes: 'Movie,Series',
         Recursive: true,
-        Fields: 'ProviderIds,UserData'
+        Fields: 'ProviderIds,OriginalTitle,SortName',
+        ...filters,
+        StartIndex: startIndex,
+        Limit: LIBRARY_PAGE_SIZE
       });
-      
-      const response = await fetch(
-        `${this.config.serverUrl}/Users/${userId}/Items?${searchParams}`,
-        {
-          headers: {
-            'X-MediaBrowser-Token': this.config.apiKey
-          }
-        }
-      );
-      
+
+      const response = await this.authorizedRequest(`${this.config.serverUrl}/Users/${userId}/Items?${searchParams}`);
+
       const data = await response.json();
-      const items = data.Items || [];
-      
-      // Fuzzy matching
-      const match = items.find(item => {
-        return fuzzyMatch(searchTerm, item.Name, year, item.ProductionYear);
-      });
-      
-      if (match) {
-        return {
-          found: true,
-          movie: {
-            id: match.Id,
-            name: match.Name,
-            year: match.ProductionYear
-          }
-        };
-      }
-      
-      return { found: false };
-    } catch (error) {
-      console.error('Emby check error:', error);
-      return { found: false };
+      const page = data.Items || [];
+      if (page.length === 0) break;
+
+      items.push(...page.map(item => this.toLibraryItem(item)));
+
+      totalRecordCount = data.TotalRecordCount ?? items.length;
+      startIndex += page.length;
     }
+
+    return items;
+  }
+
+  /**
+   * Item query parameters for each library to look in
+   * Items can only be filtered by one parent, so selected libraries are queried one by one.
+   * @returns {Array<Object>} One set of parameters per library, or one empty set for all libraries
+   */
+  getLibraryScopes() {
+    const libraryIds = this.config.libraryIds || [];
+    return libraryIds.length > 0 ? libraryIds.map(libraryId => ({ ParentId: libraryId })) : [{}];
+  }
+
+  toLibraryItem(item) {
+    return {
+      id: item.Id,
+      type: item.Type === 'Series' ? 'series' : 'movie',
+      name: item.Name,
+      alternateNames: collectAlternateNames(item.Name, item.OriginalTitle, item.SortName),
+      year: item.ProductionYear || null,
+      ids: normalizeProviderIds(item.ProviderIds)
+    };
   }
 
   async getUserId() {
     if (this.userId) return this.userId;
     
-    const response = await fetch(
-      `${this.config.serverUrl}/Users`,
+    if (getAuthMethod(this.config) === 'password') {
+      // Signing in tells us who we are
+      await this.authenticate();
+    } else if (this.config.userId) {
+      this.userId = this.config.userId;
+    } else {
+      // Sources saved before a user could be chosen use the first one
+      const users = await this.getUsers();
+      this.userId = users[0]?.Id;
+    }
+    return this.userId;
+  }
+
+  async getUsers() {
+    const response = await this.authorizedRequest(`${this.config.serverUrl}/Users`);
+    return response.json();
+  }
+
+  async getLibraries() {
+    const userId = await this.getUserId();
+    const response = await this.authorizedRequest(`${this.config.serverUrl}/Users/${userId}/Views`);
+    const data = await response.json();
+    return (data.Items || []).filter(library => VIDEO_COLLECTION_TYPES.includes(library.CollectionType));
+  }
+
+  /**
+   * Send a request signed with the API key or the session of the signed in user
+   * An expired session is renewed once by signing in again.
+   * @param {string} url - Request URL
+   * @param {Object} [policy] - Overrides for the request layer
+   * @returns {Promise<Response>}
+   */
+  async authorizedRequest(url, policy = {}) {
+    const usesPassword = getAuthMethod(this.config) === 'password';
+    if (usesPassword && !this.accessToken) {
+      await this.authenticate(policy);
+    }
+    
+    try {
+      return await this.request(url, { headers: { 'X-MediaBrowser-Token': this.getToken() } }, policy);
+    } catch (error) {
+      if (!usesPassword || error.status !== 401) throw error;
+      
+      await this.authenticate(policy);
+      return this.request(url, { headers: { 'X-MediaBrowser-Token': this.getToken() } }, policy);
+    }
+  }
+
+  getToken() {
+    return getAuthMethod(this.config) === 'password' ? this.accessToken : this.config.apiKey;
+  }
+
+  /**
+   * Sign in with the configured username and password
+   * @param {Object} [policy] - Overrides for the request layer
+   * @returns {Promise<void>}
+   */
+  async authenticate(policy = {}) {
+    const { username, password } = this.config;
+    // One device per user, so signing in again replaces the previous session instead of adding one
+    const deviceId = `do-i-have-this-movie-${encodeURIComponent(username)}`;
+    const response = await this.request(
+      `${this.config.serverUrl}/Users/AuthenticateByName`,
       {
+        method: 'POST',
         headers: {
-          'X-MediaBrowser-Token': this.config.apiKey
-        }
-      }
+          'Content-Type': 'application/json',
+          'X-Emby-Authorization': `MediaBrowser Client="${CLIENT_NAME}", Device="Browser", DeviceId="${deviceId}", Version="${CLIENT_VERSION}"`
+        },
+        body: JSON.stringify({ Username: username, Pw: password || '' })
+      },
+      policy
     );
     
-    const users = await response.json();
-    this.userId = users[0]?.Id;
-    return this.userId;
+    const session = await response.json();
+    this.accessToken = session.AccessToken;
+    this.userId = session.User?.Id;
   }
 }
 
+/**
+ * How a source signs in; sources saved before sign-in options existed use an API key
+ * @param {Object} config - Source settings
+ * @returns {'apiKey'|'password'}
+ */
+function getAuthMethod(config) {
+  return config.authMethod === 'password' ? 'password' : 'apiKey';
+}
+
 export default EmbySourceAdapter;
@@ -0,0 +1,219 @@
+import { prepareItem, rankPreparedItems, toMatchResult } from './utils/item-matcher.js';
+import { promisifyRequest, sourceRange, transactionDone } from './utils/indexed-db.js';
+
+/**
+ * Persistent library index backed by IndexedDB
+ *
+ * Each source can download its whole movie library into the index so that
+ * lookups are answered locally instead of hitting the server per title.
+ */
+
+const DB_NAME = 'library-index';
+const DB_VERSION = 1;
+const ITEMS_STORE = 'items';
+const META_STORE = 'meta';
+
+/**
+ * Singleton index of every synced source library
+ */
+class LibraryIndex {
+  constructor() {
+    if (LibraryIndex.instance) {
+      return LibraryIndex.instance;
+    }
+    this.dbPromise = null;
+    // Indexed items of each source with their names normalized (see prepareItem())
+    this.itemsCache = new Map();
+    LibraryIndex.instance = this;
+  }
+
+  /**
+   * Open (and create if needed) the index database
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ITEMS_STORE)) {
+          db.createObjectStore(ITEMS_STORE, { keyPath: ['sourceId', 'id'] });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'sourceId' });
+        }
+      };
+      this.dbPromise = promisifyRequest(request).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Replace the stored snapshot of a source with a fresh library download
+   * @param {string} sourceId - Source identifier
+   * @param {Array<{id: string, name: string, year: number|null}>} items - Library items
+   * @returns {Promise<void>}
+   */
+  async replaceSource(sourceId, items) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction([ITEMS_STORE, META_STORE], 'readwrite');
+    const itemsStore = transaction.objectStore(ITEMS_STORE);
+
+    itemsStore.delete(sourceRange(sourceId));
+    for (const item of items) {
+      itemsStore.put({ ...item, id: String(item.id), sourceId });
+    }
+    transaction.objectStore(META_STORE).put({
+      sourceId,
+      itemCount: items.length,
+      syncedAt: Date.now()
+    });
+
+    await transactionDone(transaction);
+    this.itemsCache.delete(sourceId);
+  }
+
+  /**
+   * Add or update items in an existing snapshot of a source
+   * @param {string} sourceId - Source identifier
+   * @param {Array<{id: string, name: string, year: number|null}>} items - Changed library items
+   * @returns {Promise<void>}
+   */
+  async upsertItems(sourceId, items) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction([ITEMS_STORE, META_STORE], 'readwrite');
+    const itemsStore = transaction.objectStore(ITEMS_STORE);
+
+    for (const item of items) {
+      itemsStore.put({ ...item, id: String(item.id), sourceId });
+    }
+    const countRequest = itemsStore.count(sourceRange(sourceId));
+    countRequest.onsuccess = () => {
+      transaction.objectStore(META_STORE).put({
+        sourceId,
+        itemCount: countRequest.result,
+        syncedAt: Date.now()
+      });
+    };
+
+    await transactionDone(transaction);
+    this.itemsCache.delete(sourceId);
+  }
+
+  /**
+   * Remove everything stored for a source
+   * @param {string} sourceId - Source identifier
+   * @returns {Promise<void>}
+   */
+  async clearSource(sourceId) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction([ITEMS_STORE, META_STORE], 'readwrite');
+    transaction.objectStore(ITEMS_STORE).delete(sourceRange(sourceId));
+    transaction.objectStore(META_STORE).delete(sourceId);
+
+    await transactionDone(transaction);
+    this.itemsCache.delete(sourceId);
+  }
+
+  /**
+   * Get sync metadata for a source
+   * @param {string} sourceId - Source identifier
+   * @returns {Promise<{sourceId: string, itemCount: number, syncedAt: number}|null>}
+   */
+  async getMeta(sourceId) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(META_STORE, 'readonly');
+    const meta = await promisifyRequest(transaction.objectStore(META_STORE).get(sourceId));
+    return meta || null;
+  }
+
+  /**
+   * Check whether a source has been synced at least once
+   * @param {string} sourceId - Source identifier
+   * @returns {Promise<boolean>}
+   */
+  async hasSnapshot(sourceId) {
+    return (await this.getMeta(sourceId)) !== null;
+  }
+
+  /**
+   * Get all indexed items of a source, loading them into memory once
+   * Names are normalized on load so lookups only score titles.
+   * @param {string} sourceId - Source identifier
+   * @returns {Promise<Array<{item: Object, names: string[], articleFreeNames: string[], words: Set<string>}>|null>} Prepared items, or null if the source has no snapshot
+   */
+  async getItems(sourceId) {
+    if (this.itemsCache.has(sourceId)) {
+      return this.itemsCache.get(sourceId);
+    }
+    if (!(await this.hasSnapshot(sourceId))) {
+      return null;
+    }
+
+    const db = await this.openDatabase();
+    const transaction = db.transaction(ITEMS_STORE, 'readonly');
+    const items = await promisifyRequest(
+      transaction.objectStore(ITEMS_STORE).getAll(sourceRange(sourceId))
+    );
+    const preparedItems = items.map(prepareItem);
+    this.itemsCache.set(sourceId, preparedItems);
+    return preparedItems;
+  }
+
+  /**
+   * Look up a movie in the indexed library of a source
+   * @param {string} sourceId - Source identifier
+   * @param {string} title - Movie title
+   * @param {number} year - Movie release year
+   * @param {Object} [ids] - External IDs of the movie
+   * @param {string[]} [alternateTitles] - Original or alternate titles of the movie
+   * @returns {Promise<Object|null>} Match result (see toMatchResult()), or null if the source has no snapshot
+   */
+  async findMovie(sourceId, title, year, ids = {}, alternateTitles = []) {
+    const ranked = await this.rankItems(sourceId, 'movie', title, year, ids, alternateTitles);
+    return ranked && toMatchResult(ranked, 'movie');
+  }
+
+  /**
+   * Look up a TV series in the indexed library of a source
+   * Seasons are not indexed; callers fetch them for the matched series.
+   * @param {string} sourceId - Source identifier
+   * @param {string} title - Series title
+   * @param {number} year - Year the series started
+   * @param {Object} [ids] - External IDs of the series
+   * @param {string[]} [alternateTitles] - Original or alternate titles of the series
+   * @returns {Promise<Object|null>} Match result (see toMatchResult()), or null if the source has no snapshot
+   */
+  async findSeries(sourceId, title, year, ids = {}, alternateTitles = []) {
+    const ranked = await this.rankItems(sourceId, 'series', title, year, ids, alternateTitles);
+    return ranked && toMatchResult(ranked, 'series');
+  }
+
+  /**
+   * Rank the indexed items of a given media type against a query
+   * @param {string} sourceId - Source identifier
+   * @param {'movie'|'series'} mediaType - Media type to search
+   * @param {string} title - Title to match
+   * @param {number} year - Year to match
+   * @param {Object} ids - External IDs to match
+   * @param {string[]} alternateTitles - Other titles to match
+   * @returns {Promise<Array<{item: Object, confidence: number}>|null>} Ranked candidates, or null if the source has no snapshot
+   */
+  async rankItems(sourceId, mediaType, title, year, ids, alternateTitles) {
+    const preparedItems = await this.getItems(sourceId);
+    if (!preparedItems) {
+      return null;
+    }
+
+    // Snapshots taken before series were indexed only contain movies
+    const candidates = preparedItems.filter(({ item }) => (item.type || 'movie') === mediaType);
+    return rankPreparedItems(candidates, title, year, ids, alternateTitles);
+  }
+}
+
+// Export singleton instance
+const libraryIndex = new LibraryIndex();
+export default libraryIndex;
@@ -1,5 +1,13 @@
 import BaseSourceAdapter from './base-source-adapter.js';
-import { searchMovieFiles } from './utils/file-matcher.js';
+import {
+  searchMovieFiles,
+  searchSeriesFiles,
+  groupSeriesFiles,
+  extractMovieInfo,
+  extractFileIds,
+  isMovieFile,
+  isEpisodeFile
+} from './utils/file-matcher.js';
 
 class LocalSourceAdapter extends BaseSourceAdapter {
   constructor() {
@@ -22,7 +30,9 @@ class LocalSourceAdapter extends BaseSourceAdapter {
         key: 'paths', 
         label: 'Movie Directories (one per line)', 
         type: 'textarea', 
-        required: true 
+        required: true,
+        placeholder: 'C:/Movies\nD:/Videos/HD',
+        help: 'Local file system access requires the File System Access API or a native host application.'
       },
       { 
         key: 'recursive', 
@@ -34,20 +44,18 @@ class LocalSourceAdapter extends BaseSourceAdapter {
   }
 
   validateCredentials(config) {
-    const errors = [];
+    const fieldErrors = {};
     
-    if (!config.paths || config.paths.trim() === '') {
-      errors.push('At least one directory path is required');
-    } else {
-      const paths = config.paths.split('\n').map(p => p.trim()).filter(p => p);
-      if (paths.length === 0) {
-        errors.push('At least one directory path is required');
-      }
+    const paths = (config.paths || '').split('\n').map(p => p.trim()).filter(p => p);
+    if (paths.length === 0) {
+      fieldErrors.paths = 'At least one directory path is required';
     }
     
+    const errors = Object.values(fieldErrors);
     return {
       valid: errors.length === 0,
-      errors
+      errors,
+      fieldErrors
     };
   }
 
@@ -85,27 +93,53 @@ class LocalSourceAdapter extends BaseSourceAdapter {
     }
   }
 
-  async checkMovie(title, year) {
-    try {
-      const allFiles = await this.getAllMovieFiles();
-      const result = searchMovieFiles(title, year, allFiles);
-      
-      if (result.found) {
+  async checkMovie(title, year, ids = {}, alternateTitles = []) {
+    // Files that cannot be read are an error of this source, not a missing title
+    const allFiles = await this.getAllMovieFiles();
+    return searchMovieFiles(title, year, allFiles, ids, alternateTitles);
+  }
+
+  async checkSeries(title, year, ids = {}, alternateTitles = []) {
+    const allFiles = await this.getAllMovieFiles();
+    return searchSeriesFiles(title, year, allFiles, alternateTitles);
+  }
+
+  async getSeriesSeasons(seriesId) {
+    const allFiles = await this.getAllMovieFiles();
+    const series = groupSeriesFiles(allFiles).find(s => s.id === seriesId);
+    return series ? series.seasons : [];
+  }
+
+  async getItemPath(itemId, mediaType) {
+    // Movies are identified by their file; series only by their normalized title
+    return mediaType === 'movie' ? itemId : null;
+  }
+
+  async fetchLibrary() {
+    const allFiles = await this.getAllMovieFiles();
+
+    const movies = allFiles
+      .filter(fileName => isMovieFile(fileName) && !isEpisodeFile(fileName))
+      .map(fileName => {
+        const { title, year } = extractMovieInfo(fileName);
         return {
-          found: true,
-          movie: {
-            id: result.fileName,
-            name: result.title,
-            year: result.year
-          }
+          id: fileName,
+          type: 'movie',
+          name: title,
+          year,
+          ids: extractFileIds(fileName)
         };
-      }
-      
-      return { found: false };
-    } catch (error) {
-      console.error('Local file check error:', error);
-      return { found: false };
-    }
+      });
+
+    const series = groupSeriesFiles(allFiles).map(({ id, name, year }) => ({
+      id,
+      type: 'series',
+      name,
+      year,
+      ids: {}
+    }));
+
+    return [...movies, ...series];
   }
 
   /**
@@ -125,11 +159,18 @@ class LocalSourceAdapter extends BaseSourceAdapter {
     // 1. Use File System Access API to request directory access
     // 2. Scan directories for movie files
     // 3. Return list of file names
-    
-    // For now, return empty array
-    const files = [];
-    this.fileCache.set(cacheKey, files);
-    return files;
+    // Files are not read through request(), so the outcome is recorded in the health here
+    const startedAt = Date.now();
+    try {
+      // For now, return empty array
+      const files = [];
+      this.fileCache.set(cacheKey, files);
+      this.recordSuccess(startedAt);
+      return files;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
   }
 }
 
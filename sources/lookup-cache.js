@@ -0,0 +1,272 @@
+import { normalizeTitle } from './utils/title-normalizer.js';
+import { promisifyRequest, sourceRange, transactionDone } from './utils/indexed-db.js';
+
+/**
+ * Persistent cache of per-source lookup results backed by IndexedDB
+ *
+ * Sits between the content script checks and the source adapters so that
+ * titles seen again (scrolling back, revisiting a page) are answered without
+ * querying the library index or the server. Survives service worker restarts.
+ */
+
+const DB_NAME = 'lookup-cache';
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries';
+const STATS_STORE = 'stats';
+
+// Hit/miss counters are written in batches rather than on every lookup
+const STATS_FLUSH_DELAY_MS = 2000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * chrome.storage.local key holding the cache settings
+ */
+export const CACHE_SETTINGS_STORAGE_KEY = 'cacheSettings';
+
+/**
+ * Default time to live of found (positive) and not found (negative) results
+ * A TTL of 0 disables caching of that kind of result.
+ */
+export const DEFAULT_CACHE_SETTINGS = {
+  positiveTtlHours: 24,
+  negativeTtlHours: 6
+};
+
+/**
+ * Singleton cache of lookup results, keyed by source and query
+ */
+class LookupCache {
+  constructor() {
+    if (LookupCache.instance) {
+      return LookupCache.instance;
+    }
+    this.dbPromise = null;
+    this.settings = { ...DEFAULT_CACHE_SETTINGS };
+    this.statsPromise = null;
+    this.statsFlushTimer = null;
+    LookupCache.instance = this;
+  }
+
+  /**
+   * Open (and create if needed) the cache database
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+          db.createObjectStore(ENTRIES_STORE, { keyPath: ['sourceId', 'key'] });
+        }
+        if (!db.objectStoreNames.contains(STATS_STORE)) {
+          db.createObjectStore(STATS_STORE, { keyPath: 'sourceId' });
+        }
+      };
+      this.dbPromise = promisifyRequest(request).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Apply cache settings, falling back to the defaults for missing values
+   * @param {{positiveTtlHours?: number, negativeTtlHours?: number}} settings
+   */
+  configure(settings = {}) {
+    this.settings = { ...DEFAULT_CACHE_SETTINGS, ...settings };
+  }
+
+  /**
+   * Build the cache key of a query
+   * Titles are normalized so "The Matrix" and "Matrix, The" share an entry.
+   * @param {string} title - Title to look up
+   * @param {number} year - Release year
+   * @param {Object} ids - External IDs
+   * @param {string[]} alternateTitles - Other titles
+   * @param {'movie'|'series'} mediaType - Media type looked up
+   * @returns {string}
+   */
+  buildKey(title, year, ids = {}, alternateTitles = [], mediaType = 'movie') {
+    const sortedIds = Object.keys(ids || {}).sort().map(key => `${key}=${ids[key]}`);
+    const otherTitles = (alternateTitles || []).map(normalizeTitle).sort();
+    return JSON.stringify([mediaType, normalizeTitle(title), year ? parseInt(year) : null, sortedIds, otherTitles]);
+  }
+
+  /**
+   * Get a cached result, counting the lookup as a hit or a miss
+   * @param {string} sourceId - Source identifier
+   * @param {string} key - Key from buildKey()
+   * @returns {Promise<Object|null>} The cached result, or null if absent or expired
+   */
+  async get(sourceId, key) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(ENTRIES_STORE, 'readonly');
+    const entry = await promisifyRequest(transaction.objectStore(ENTRIES_STORE).get([sourceId, key]));
+
+    const hit = Boolean(entry) && entry.expiresAt > Date.now();
+    await this.recordLookup(sourceId, hit);
+    return hit ? entry.result : null;
+  }
+
+  /**
+   * Cache a result with the TTL for found or not found results
+   * @param {string} sourceId - Source identifier
+   * @param {string} key - Key from buildKey()
+   * @param {Object} result - Per-source lookup result
+   * @returns {Promise<void>}
+   */
+  async set(sourceId, key, result) {
+    const ttlHours = result.found ? this.settings.positiveTtlHours : this.settings.negativeTtlHours;
+    if (!(ttlHours > 0)) {
+      return;
+    }
+
+    const db = await this.openDatabase();
+    const transaction = db.transaction(ENTRIES_STORE, 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).put({
+      sourceId,
+      key,
+      result,
+      expiresAt: Date.now() + ttlHours * HOUR_MS
+    });
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Drop every cached result of a source (after it is reconfigured or resynced)
+   * @param {string} sourceId - Source identifier
+   * @returns {Promise<void>}
+   */
+  async clearSource(sourceId) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(ENTRIES_STORE, 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).delete(sourceRange(sourceId));
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Drop the cached results and the statistics of a deleted source
+   * @param {string} sourceId - Source identifier
+   * @returns {Promise<void>}
+   */
+  async removeSource(sourceId) {
+    const stats = await this.loadStats();
+    stats.delete(sourceId);
+
+    const db = await this.openDatabase();
+    const transaction = db.transaction([ENTRIES_STORE, STATS_STORE], 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).delete(sourceRange(sourceId));
+    transaction.objectStore(STATS_STORE).delete(sourceId);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Remove every source but the given ones, e.g. sources deleted while the cache kept their statistics
+   * @param {string[]} sourceIds - Identifiers of the sources that still exist
+   * @returns {Promise<void>}
+   */
+  async retainSources(sourceIds) {
+    const stats = await this.loadStats();
+    for (const sourceId of Array.from(stats.keys())) {
+      if (!sourceIds.includes(sourceId)) {
+        await this.removeSource(sourceId);
+      }
+    }
+  }
+
+  /**
+   * Drop every cached result and reset the statistics
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    clearTimeout(this.statsFlushTimer);
+    this.statsFlushTimer = null;
+    this.statsPromise = Promise.resolve(new Map());
+
+    const db = await this.openDatabase();
+    const transaction = db.transaction([ENTRIES_STORE, STATS_STORE], 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).clear();
+    transaction.objectStore(STATS_STORE).clear();
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Get hit/miss counts and the number of cached entries per source
+   * @returns {Promise<Array<{sourceId: string, hits: number, misses: number, entries: number}>>}
+   */
+  async getStats() {
+    const stats = await this.loadStats();
+    const db = await this.openDatabase();
+    const transaction = db.transaction(ENTRIES_STORE, 'readonly');
+    const store = transaction.objectStore(ENTRIES_STORE);
+
+    return Promise.all(Array.from(stats.values(), async ({ sourceId, hits, misses }) => ({
+      sourceId,
+      hits,
+      misses,
+      entries: await promisifyRequest(store.count(sourceRange(sourceId)))
+    })));
+  }
+
+  /**
+   * Load the persisted hit/miss counters into memory once
+   * @returns {Promise<Map<string, {sourceId: string, hits: number, misses: number}>>}
+   */
+  loadStats() {
+    if (!this.statsPromise) {
+      this.statsPromise = this.openDatabase().then(async db => {
+        const transaction = db.transaction(STATS_STORE, 'readonly');
+        const records = await promisifyRequest(transaction.objectStore(STATS_STORE).getAll());
+        return new Map(records.map(record => [record.sourceId, record]));
+      });
+      this.statsPromise.catch(() => {
+        this.statsPromise = null;
+      });
+    }
+    return this.statsPromise;
+  }
+
+  /**
+   * Count a lookup and schedule writing the counters
+   * @param {string} sourceId - Source identifier
+   * @param {boolean} hit - Whether the lookup was answered from the cache
+   * @returns {Promise<void>}
+   */
+  async recordLookup(sourceId, hit) {
+    const stats = await this.loadStats();
+    if (!stats.has(sourceId)) {
+      stats.set(sourceId, { sourceId, hits: 0, misses: 0 });
+    }
+    stats.get(sourceId)[hit ? 'hits' : 'misses']++;
+
+    if (!this.statsFlushTimer) {
+      this.statsFlushTimer = setTimeout(() => {
+        this.statsFlushTimer = null;
+        this.flushStats().catch(error => console.error('Failed to save cache statistics:', error));
+      }, STATS_FLUSH_DELAY_MS);
+    }
+  }
+
+  /**
+   * Persist the in-memory hit/miss counters
+   * @returns {Promise<void>}
+   */
+  async flushStats() {
+    const stats = await this.loadStats();
+    const db = await this.openDatabase();
+    const transaction = db.transaction(STATS_STORE, 'readwrite');
+    const store = transaction.objectStore(STATS_STORE);
+    for (const record of stats.values()) {
+      store.put({ ...record });
+    }
+    await transactionDone(transaction);
+  }
+}
+
+// Export singleton instance
+const lookupCache = new LookupCache();
+export default lookupCache;
@@ -1,10 +1,71 @@
 import BaseSourceAdapter from './base-source-adapter.js';
-import { fuzzyMatch } from './utils/fuzzy-search.js';
+import { fetchWithRetry } from './utils/request.js';
+import { rankMatchingItems, toMatchResult, collectAlternateNames } from './utils/item-matcher.js';
+
+// Number of items requested per page when downloading the full library
+const LIBRARY_PAGE_SIZE = 500;
+
+// Plex metadata type codes
+const PLEX_TYPE_MOVIE = '1';
+const PLEX_TYPE_SHOW = '2';
+
+// Library section kind holding each metadata type
+const SECTION_TYPES = {
+  [PLEX_TYPE_MOVIE]: 'movie',
+  [PLEX_TYPE_SHOW]: 'show'
+};
+
+// plex.tv API handing out sign-in PINs, and the page where the user approves one
+const PLEX_TV_URL = 'https://plex.tv';
+const PLEX_AUTH_URL = 'https://app.plex.tv/auth';
+const PLEX_PRODUCT = 'Do I Have This Movie';
+
+// How often plex.tv is asked whether the PIN was claimed
+const PIN_POLL_INTERVAL_MS = 2000;
+
+// Plex guids, e.g. "imdb://tt0111161" or legacy "com.plexapp.agents.themoviedb://278?lang=en"
+const PLEX_GUID_PATTERN = /^(?:com\.plexapp\.agents\.)?(imdb|tmdb|themoviedb|tvdb|thetvdb):\/\/([^?/]+)/i;
+
+// Plex agent names that differ from our provider keys
+const PLEX_AGENT_PROVIDERS = {
+  themoviedb: 'tmdb',
+  thetvdb: 'tvdb'
+};
+
+/**
+ * Extract external IDs from the guid entries of a Plex item
+ * @param {Object} item - Plex metadata item
+ * @returns {{imdb?: string, tmdb?: string, tvdb?: string}}
+ */
+function parsePlexGuids(item) {
+  const ids = {};
+  const guids = [...(item.Guid || []).map(guid => guid.id), item.guid];
+
+  for (const guid of guids) {
+    const match = guid?.match(PLEX_GUID_PATTERN);
+    if (!match) continue;
+
+    const agent = match[1].toLowerCase();
+    const provider = PLEX_AGENT_PROVIDERS[agent] || agent;
+    ids[provider] = ids[provider] || match[2].toLowerCase();
+  }
+
+  return ids;
+}
 
 class PlexSourceAdapter extends BaseSourceAdapter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.plexTvUrl] - Base URL of the plex.tv API, e.g. a local stand-in in tests
+   * @param {number} [options.pinPollIntervalMs] - How often a sign-in PIN is checked
+   */
+  constructor({ plexTvUrl = PLEX_TV_URL, pinPollIntervalMs = PIN_POLL_INTERVAL_MS } = {}) {
     super();
+    this.plexTvUrl = plexTvUrl;
+    this.pinPollIntervalMs = pinPollIntervalMs;
     this.config = null;
+    this.machineIdentifier = null;
+    this.sections = null;
   }
 
   getName() {
@@ -17,31 +78,48 @@ class PlexSourceAdapter extends BaseSourceAdapter {
 
   getRequiredFields() {
     return [
-      { key: 'serverUrl', label: 'Server URL', type: 'url', required: true },
-      { key: 'token', label: 'Plex Token', type: 'password', required: true }
+      { key: 'serverUrl', label: 'Server URL', type: 'url', required: true, placeholder: 'https://plex.example.com:32400' },
+      {
+        key: 'token',
+        label: 'Plex Token',
+        type: 'password',
+        required: true,
+        placeholder: 'Enter your Plex token',
+        help: 'Use Sign in with Plex to get a token, or paste one.'
+      },
+      {
+        key: 'sectionIds',
+        label: 'Libraries',
+        type: 'multiselect',
+        required: false,
+        options: [],
+        help: 'Titles in the checked movie and TV libraries count as owned, or in all of them when none is checked. Test the connection to list the libraries.'
+      }
     ];
   }
 
   validateCredentials(config) {
-    const errors = [];
+    const fieldErrors = {};
     
     if (!config.serverUrl) {
-      errors.push('Server URL is required');
+      fieldErrors.serverUrl = 'Server URL is required';
     } else {
       try {
         new URL(config.serverUrl);
       } catch (e) {
-        errors.push('Invalid Server URL');
+        fieldErrors.serverUrl = 'Invalid Server URL';
       }
     }
     
     if (!config.token) {
-      errors.push('Plex Token is required');
+      fieldErrors.token = 'Plex Token is required';
     }
     
+    const errors = Object.values(fieldErrors);
     return {
       valid: errors.length === 0,
-      errors
+      errors,
+      fieldErrors
     };
   }
 
@@ -55,31 +133,32 @@ class PlexSourceAdapter extends BaseSourceAdapter {
       ...credentials,
       serverUrl: credentials.serverUrl.trim().replace(/\/$/, '')
     };
+    
+    this.machineIdentifier = null;
+    this.sections = null;
+    
+    // Failures of a previous server say nothing about this one
+    this.resetRequestState();
   }
 
   async testConnection() {
     try {
-      const response = await fetch(
+      const response = await this.request(
         `${this.config.serverUrl}/?X-Plex-Token=${this.config.token}`,
         {
           headers: {
             'Accept': 'application/json'
           }
-        }
+        },
+        // Report the first failure right away
+        { retries: 0, circuitBreaker: null }
       );
       
-      if (response.ok) {
-        const data = await response.json();
-        if (data.MediaContainer) {
-          return { success: true };
-        }
-        return { success: false, error: 'Invalid Plex server response' };
-      } else {
-        return { 
-          success: false, 
-          error: `HTTP ${response.status}: ${response.statusText}` 
-        };
+      const data = await response.json();
+      if (data.MediaContainer) {
+        return { success: true };
       }
+      return { success: false, error: 'Invalid Plex server response' };
     } catch (error) {
       return { 
         success: false, 
@@ -88,53 +167,216 @@ class PlexSourceAdapter extends BaseSourceAdapter {
     }
   }
 
-  async checkMovie(title, year) {
-    try {
-      const searchTerm = title.toLowerCase().trim();
-      
-      // Plex uses /library/sections to get library IDs, then search
-      const searchParams = new URLSearchParams({
-        query: title,
-        type: '1', // 1 = Movie
-        X_Plex_Token: this.config.token
-      });
+  async getFieldOptions() {
+    const sections = await this.getVideoSections();
+    return {
+      sectionIds: sections.map(section => ({ value: section.key, label: section.title }))
+    };
+  }
+
+  supportsSignIn() {
+    return true;
+  }
+
+  async signIn(openUrl) {
+    const pinsUrl = `${this.plexTvUrl}/api/v2/pins`;
+    // Each sign-in is a new device; the token works with any client identifier
+    const headers = {
+      'Accept': 'application/json',
+      'X-Plex-Product': PLEX_PRODUCT,
+      'X-Plex-Client-Identifier': crypto.randomUUID()
+    };
+    
+    // plex.tv is not the configured server, so its requests stay out of the server's health
+    const response = await fetchWithRetry(`${pinsUrl}?strong=true`, { method: 'POST', headers });
+    const pin = await response.json();
+    
+    const authParams = new URLSearchParams({
+      clientID: headers['X-Plex-Client-Identifier'],
+      code: pin.code,
+      'context[device][product]': PLEX_PRODUCT
+    });
+    openUrl(`${PLEX_AUTH_URL}#?${authParams}`);
+    
+    // The PIN is claimed once the user approves the sign-in on plex.tv
+    const expiresAt = Date.now() + (pin.expiresIn ?? 900) * 1000;
+    while (Date.now() < expiresAt) {
+      await new Promise(resolve => setTimeout(resolve, this.pinPollIntervalMs));
       
-      const response = await fetch(
-        `${this.config.serverUrl}/search?${searchParams}`,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'X-Plex-Token': this.config.token
-          }
+      try {
+        const pinResponse = await fetchWithRetry(`${pinsUrl}/${pin.id}`, { headers }, { retries: 0 });
+        const { authToken } = await pinResponse.json();
+        if (authToken) {
+          return { token: authToken };
         }
-      );
-      
-      const data = await response.json();
-      const items = data.MediaContainer?.Metadata || [];
-      
-      // Fuzzy matching
-      const match = items.find(item => {
-        const itemTitle = item.title || '';
-        const itemYear = item.year;
-        return fuzzyMatch(searchTerm, itemTitle, year, itemYear);
-      });
-      
-      if (match) {
-        return {
-          found: true,
-          movie: {
-            id: match.ratingKey,
-            name: match.title,
-            year: match.year
-          }
-        };
+      } catch (error) {
+        // An expired or unknown PIN (4xx) is never claimed; other failures pass while the user approves
+        if (!error.retryable) throw error;
       }
-      
-      return { found: false };
-    } catch (error) {
-      console.error('Plex check error:', error);
-      return { found: false };
     }
+    
+    throw new Error('Plex sign-in timed out');
+  }
+
+  async checkMovie(title, year, ids = {}, alternateTitles = []) {
+    const items = await this.searchItems([title, ...alternateTitles], PLEX_TYPE_MOVIE);
+    
+    // Rank by external IDs first, then fuzzy title and year
+    return toMatchResult(rankMatchingItems(items, title, year, ids, alternateTitles));
+  }
+
+  async checkSeries(title, year, ids = {}, alternateTitles = []) {
+    const items = await this.searchItems([title, ...alternateTitles], PLEX_TYPE_SHOW);
+    const result = toMatchResult(rankMatchingItems(items, title, year, ids, alternateTitles), 'series');
+    
+    if (result.found) {
+      result.series.seasons = await this.getSeriesSeasons(result.series.id);
+    }
+    
+    return result;
+  }
+
+  async getSeriesSeasons(seriesId) {
+    const data = await this.fetchJson(`/library/metadata/${seriesId}/children`);
+    
+    // Skip the specials season
+    return (data.MediaContainer?.Metadata || [])
+      .filter(season => season.index > 0)
+      .map(season => ({
+        number: season.index,
+        episodeCount: season.leafCount ?? null
+      }));
+  }
+
+  async searchItems(titles, type) {
+    const sections = (await this.getOwnedSections()).filter(section => section.type === SECTION_TYPES[type]);
+    const itemsById = new Map();
+    
+    // The title filter only looks at one spelling, so try every known title
+    for (const title of titles) {
+      for (const section of sections) {
+        const searchParams = new URLSearchParams({
+          type,
+          title,
+          includeGuids: '1'
+        });
+        
+        const data = await this.fetchJson(`/library/sections/${section.key}/all?${searchParams}`);
+        for (const item of data.MediaContainer?.Metadata || []) {
+          itemsById.set(item.ratingKey, this.toLibraryItem(item));
+        }
+      }
+    }
+    
+    return Array.from(itemsById.values());
+  }
+
+  async getItemUrl(itemId) {
+    const machineIdentifier = await this.getMachineIdentifier();
+    const key = encodeURIComponent(`/library/metadata/${itemId}`);
+    return `${this.config.serverUrl}/web/index.html#!/server/${machineIdentifier}/details?key=${key}`;
+  }
+
+  async getMachineIdentifier() {
+    if (this.machineIdentifier) return this.machineIdentifier;
+    
+    const data = await this.fetchJson('/identity');
+    this.machineIdentifier = data.MediaContainer?.machineIdentifier;
+    return this.machineIdentifier;
+  }
+
+  async fetchLibrary() {
+    return this.fetchItems();
+  }
+
+  supportsIncrementalSync() {
+    return true;
+  }
+
+  async fetchLibraryChanges(since) {
+    // Plex timestamps are in seconds; the filter operator must stay unencoded
+    return this.fetchItems(`updatedAt>>=${Math.floor(since / 1000)}`);
+  }
+
+  async fetchItems(filter = '') {
+    // Syncs pick up libraries added or removed since the sections were last listed
+    this.sections = null;
+    const sections = await this.getOwnedSections();
+    const items = [];
+
+    for (const section of sections) {
+      let start = 0;
+      let totalSize = Infinity;
+
+      while (start < totalSize) {
+        const searchParams = new URLSearchParams({
+          'X-Plex-Container-Start': start,
+          'X-Plex-Container-Size': LIBRARY_PAGE_SIZE,
+          includeGuids: '1'
+        });
+        const query = filter ? `${searchParams}&${filter}` : `${searchParams}`;
+
+        const data = await this.fetchJson(`/library/sections/${section.key}/all?${query}`);
+        const container = data.MediaContainer || {};
+        const page = container.Metadata || [];
+        if (page.length === 0) break;
+
+        items.push(...page.map(item => this.toLibraryItem(item)));
+
+        totalSize = container.totalSize ?? start + page.length;
+        start += page.length;
+      }
+    }
+
+    return items;
+  }
+
+  toLibraryItem(item) {
+    return {
+      id: item.ratingKey,
+      type: item.type === 'show' ? 'series' : 'movie',
+      name: item.title || '',
+      alternateNames: collectAlternateNames(item.title, item.originalTitle, item.titleSort),
+      year: item.year || null,
+      ids: parsePlexGuids(item)
+    };
+  }
+
+  async getLibrarySections() {
+    if (this.sections) return this.sections;
+    
+    const data = await this.fetchJson('/library/sections');
+    this.sections = data.MediaContainer?.Directory || [];
+    return this.sections;
+  }
+
+  async getVideoSections() {
+    const sections = await this.getLibrarySections();
+    return sections.filter(section => Object.values(SECTION_TYPES).includes(section.type));
+  }
+
+  /**
+   * Movie and TV sections whose titles count as owned
+   * @returns {Promise<Array<Object>>} The selected sections, or all of them when none is selected
+   */
+  async getOwnedSections() {
+    const sections = await this.getVideoSections();
+    const sectionIds = this.config.sectionIds || [];
+    return sectionIds.length > 0 ? sections.filter(section => sectionIds.includes(section.key)) : sections;
+  }
+
+  async fetchJson(path) {
+    const response = await this.request(
+      `${this.config.serverUrl}${path}`,
+      {
+        headers: {
+          'Accept': 'application/json',
+          'X-Plex-Token': this.config.token
+        }
+      }
+    );
+
+    return response.json();
   }
 }
 
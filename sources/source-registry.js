@@ -1,23 +1,75 @@
 /**
  * Singleton registry to manage all source adapters
+ *
+ * Adapter classes are registered per type (jellyfin, emby, ...). Each source
+ * configured in storage is an instance of a type with its own ID, name and
+ * credentials, so several servers of the same type can be used side by side.
+ * Stored sources look like:
+ * {
+ *   'jellyfin-1700000000000': { type: 'jellyfin', name: 'Office', enabled: true, serverUrl, apiKey }
+ * }
  */
 class SourceRegistry {
   constructor() {
     if (SourceRegistry.instance) {
       return SourceRegistry.instance;
     }
+    this.types = new Map();
     this.adapters = new Map();
+    this.names = new Map();
     this.activeSources = new Set();
     SourceRegistry.instance = this;
   }
 
+  /**
+   * Register an adapter class that sources can be created from
+   * @param {string} type - Source type, e.g. 'jellyfin'
+   * @param {typeof BaseSourceAdapter} AdapterClass - Adapter class
+   */
+  registerType(type, AdapterClass) {
+    this.types.set(type, AdapterClass);
+  }
+
+  /**
+   * Check whether a source type is registered
+   * @param {string} type - Source type
+   * @returns {boolean}
+   */
+  hasType(type) {
+    return this.types.has(type);
+  }
+
+  /**
+   * Get all registered source types
+   * @returns {Array<{type: string, name: string}>}
+   */
+  getTypes() {
+    return Array.from(this.types.entries()).map(([type, AdapterClass]) => ({
+      type,
+      name: AdapterClass.prototype.getName()
+    }));
+  }
+
+  /**
+   * Create an adapter for a source type
+   * @param {string} type - Source type
+   * @returns {BaseSourceAdapter}
+   */
+  createAdapter(type) {
+    const AdapterClass = this.types.get(type);
+    if (!AdapterClass) throw new Error(`Source type "${type}" not found`);
+    return new AdapterClass();
+  }
+
   /**
    * Register a new source adapter
    * @param {string} id - Unique identifier for the source
    * @param {BaseSourceAdapter} adapter - Adapter instance
+   * @param {string} [name] - Name shown for the source, defaults to the adapter's name
    */
-  register(id, adapter) {
+  register(id, adapter, name) {
     this.adapters.set(id, adapter);
+    this.setSourceName(id, name);
   }
 
   /**
@@ -26,6 +78,30 @@ class SourceRegistry {
    */
   unregister(id) {
     this.adapters.delete(id);
+    this.names.delete(id);
+    this.activeSources.delete(id);
+  }
+
+  /**
+   * Set the name shown for a source
+   * @param {string} id - Source identifier
+   * @param {string} [name] - Name, or empty for the adapter's name
+   */
+  setSourceName(id, name) {
+    if (name) {
+      this.names.set(id, name);
+    } else {
+      this.names.delete(id);
+    }
+  }
+
+  /**
+   * Get the name shown for a source in badges and status lists
+   * @param {string} id - Source identifier
+   * @returns {string}
+   */
+  getSourceName(id) {
+    return this.names.get(id) || this.getAdapter(id)?.getName() || id;
   }
 
   /**
@@ -113,6 +189,17 @@ class SourceRegistry {
     sources[id] = { ...credentials, enabled };
     await chrome.storage.local.set({ sources });
   }
+
+  /**
+   * Remove a source's settings from storage
+   * @param {string} id - Source identifier
+   */
+  async deleteSourceCredentials(id) {
+    const data = await chrome.storage.local.get(['sources']);
+    const sources = data.sources || {};
+    delete sources[id];
+    await chrome.storage.local.set({ sources });
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,19 @@
+import JellyfinSourceAdapter from './jellyfin-source-adapter.js';
+import EmbySourceAdapter from './emby-source-adapter.js';
+import PlexSourceAdapter from './plex-source-adapter.js';
+import LocalSourceAdapter from './local-source-adapter.js';
+
+/**
+ * Adapter classes sources can be created from, keyed by source type
+ *
+ * The background creates one adapter per configured source from these, and
+ * the options page renders each source's form from their getRequiredFields().
+ */
+const SOURCE_TYPES = {
+  jellyfin: JellyfinSourceAdapter,
+  emby: EmbySourceAdapter,
+  plex: PlexSourceAdapter,
+  local: LocalSourceAdapter
+};
+
+export default SOURCE_TYPES;
@@ -0,0 +1,33 @@
+/**
+ * Concurrency helpers
+ */
+
+/**
+ * Create a runner that executes at most `limit` async tasks at a time
+ * Tasks beyond the limit wait in FIFO order.
+ * @param {number} limit - Maximum number of tasks running at once
+ * @returns {function(function(): Promise<*>): Promise<*>} Runs a task when a slot frees up
+ */
+export function limitConcurrency(limit) {
+  const queue = [];
+  let active = 0;
+
+  function next() {
+    if (active >= limit || queue.length === 0) return;
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
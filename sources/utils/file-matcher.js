@@ -1,4 +1,6 @@
 import { fuzzyMatch } from './fuzzy-search.js';
+import { rankMatchingItems, toMatchResult } from './item-matcher.js';
+import { normalizeTitle } from './title-normalizer.js';
 
 /**
  * File name matching utilities for local file system sources
@@ -18,13 +20,46 @@ const MOVIE_PATTERNS = [
   /^(.+?)(?:\.\w+)?$/
 ];
 
+/**
+ * TV episode pattern: Show Name S01E02.ext, Show.Name.2005.s01e02.ext
+ */
+const EPISODE_PATTERN = /^(.+?)[\s._-]+S(\d{1,2})E(\d{1,3})/i;
+
+/**
+ * External ID tags used by media server naming conventions,
+ * e.g. "Movie (2000) [imdbid-tt0111161].mkv" or "Movie {tmdb-278}.mkv"
+ */
+const ID_TAG_PATTERNS = [
+  { key: 'imdb', pattern: /[\[{(]\s*(?:imdb(?:id)?[-=\s])?\s*(tt\d{7,})\s*[\]})]/i },
+  { key: 'tmdb', pattern: /[\[{(]\s*tmdb(?:id)?[-=\s]\s*(\d+)\s*[\]})]/i },
+  { key: 'tvdb', pattern: /[\[{(]\s*tvdb(?:id)?[-=\s]\s*(\d+)\s*[\]})]/i }
+];
+
+/**
+ * Extract external ID tags from a file name
+ * @param {string} fileName - The file name (without path)
+ * @returns {{imdb?: string, tmdb?: string, tvdb?: string}} IDs found in the name
+ */
+export function extractFileIds(fileName) {
+  const ids = {};
+  for (const { key, pattern } of ID_TAG_PATTERNS) {
+    const match = fileName.match(pattern);
+    if (match) {
+      ids[key] = match[1].toLowerCase();
+    }
+  }
+  return ids;
+}
+
 /**
  * Extract title and year from a file name
  * @param {string} fileName - The file name (without path)
  * @returns {{title: string, year: number|null}} Extracted title and year
  */
 export function extractMovieInfo(fileName) {
-  const baseName = fileName.replace(/\.[^.]+$/, ''); // Remove extension
+  const baseName = fileName
+    .replace(/\.[^.]+$/, '') // Remove extension
+    .replace(/\s*[\[{]\s*(?:imdb|tmdb|tvdb)(?:id)?[-=\s][^\]}]*[\]}]/gi, ''); // Remove ID tags
   
   for (const pattern of MOVIE_PATTERNS) {
     const match = baseName.match(pattern);
@@ -45,6 +80,34 @@ export function extractMovieInfo(fileName) {
   };
 }
 
+/**
+ * Extract series title, season and episode from an episode file name
+ * @param {string} fileName - The file name (without path)
+ * @returns {{title: string, year: number|null, season: number, episode: number}|null} Episode info, or null if the file is not an episode
+ */
+export function extractEpisodeInfo(fileName) {
+  const match = fileName.match(EPISODE_PATTERN);
+  if (!match) return null;
+  
+  const name = match[1].replace(/[._]/g, ' ').replace(/\s+/g, ' ').trim();
+  const yearMatch = name.match(/^(.+?)\s*\(?((?:19|20)\d{2})\)?$/);
+  return {
+    title: yearMatch ? yearMatch[1] : name,
+    year: yearMatch ? parseInt(yearMatch[2]) : null,
+    season: parseInt(match[2]),
+    episode: parseInt(match[3])
+  };
+}
+
+/**
+ * Check if a file is a TV episode rather than a movie
+ * @param {string} fileName - The file name
+ * @returns {boolean} True if the file name carries a season/episode tag
+ */
+export function isEpisodeFile(fileName) {
+  return EPISODE_PATTERN.test(fileName);
+}
+
 /**
  * Check if a file is likely a movie file
  * @param {string} fileName - The file name
@@ -83,24 +146,75 @@ export function matchMovieFile(queryTitle, queryYear, fileName) {
  * @param {string} queryTitle - The movie title to search for
  * @param {number} queryYear - The movie year to search for
  * @param {string[]} fileNames - Array of file names to search
- * @returns {{found: boolean, fileName?: string, title?: string, year?: number|null}} Match result
+ * @param {Object} [ids] - External IDs of the movie, matched before the title
+ * @param {string[]} [alternateTitles] - Original or alternate titles of the movie
+ * @returns {{found: boolean, confidence?: number, confident?: boolean, movie?: Object, candidates: Object[]}} Match result, identifying files by name
+ */
+export function searchMovieFiles(queryTitle, queryYear, fileNames, ids = {}, alternateTitles = []) {
+  const movieFiles = fileNames.filter(fileName => isMovieFile(fileName) && !isEpisodeFile(fileName));
+  const items = movieFiles.map(fileName => {
+    const { title, year } = extractMovieInfo(fileName);
+    return {
+      id: fileName,
+      name: title,
+      year,
+      ids: extractFileIds(fileName)
+    };
+  });
+  
+  return toMatchResult(rankMatchingItems(items, queryTitle, queryYear, ids, alternateTitles));
+}
+
+/**
+ * Group episode files by series
+ * @param {string[]} fileNames - Array of file names
+ * @returns {Array<{id: string, name: string, year: number|null, seasons: Array<{number: number, episodeCount: number}>}>} One entry per series
  */
-export function searchMovieFiles(queryTitle, queryYear, fileNames) {
-  const searchTerm = queryTitle.toLowerCase().trim();
+export function groupSeriesFiles(fileNames) {
+  const seriesById = new Map();
   
   for (const fileName of fileNames) {
-    if (matchMovieFile(searchTerm, queryYear, fileName)) {
-      const { title, year } = extractMovieInfo(fileName);
-      return {
-        found: true,
-        fileName,
-        title,
-        year
-      };
+    if (!isMovieFile(fileName)) continue;
+    const episode = extractEpisodeInfo(fileName);
+    if (!episode) continue;
+    
+    const id = normalizeFileName(episode.title);
+    if (!seriesById.has(id)) {
+      seriesById.set(id, { id, name: episode.title, year: episode.year, episodes: new Map() });
     }
+    
+    const series = seriesById.get(id);
+    const seasonEpisodes = series.episodes.get(episode.season) || new Set();
+    seasonEpisodes.add(episode.episode);
+    series.episodes.set(episode.season, seasonEpisodes);
+  }
+  
+  return Array.from(seriesById.values()).map(({ episodes, ...series }) => ({
+    ...series,
+    seasons: Array.from(episodes.entries())
+      .filter(([number]) => number > 0)
+      .sort(([a], [b]) => a - b)
+      .map(([number, episodeNumbers]) => ({ number, episodeCount: episodeNumbers.size }))
+  }));
+}
+
+/**
+ * Search through a list of file names for a matching TV series
+ * @param {string} queryTitle - The series title to search for
+ * @param {number} queryYear - The year the series started
+ * @param {string[]} fileNames - Array of file names to search
+ * @param {string[]} [alternateTitles] - Original or alternate titles of the series
+ * @returns {{found: boolean, confidence?: number, confident?: boolean, series?: Object, candidates: Object[]}} Match result including owned seasons
+ */
+export function searchSeriesFiles(queryTitle, queryYear, fileNames, alternateTitles = []) {
+  const allSeries = groupSeriesFiles(fileNames);
+  const result = toMatchResult(rankMatchingItems(allSeries, queryTitle, queryYear, {}, alternateTitles), 'series');
+  
+  if (result.found) {
+    result.series.seasons = allSeries.find(series => series.id === result.series.id).seasons;
   }
   
-  return { found: false };
+  return result;
 }
 
 /**
@@ -109,9 +223,5 @@ export function searchMovieFiles(queryTitle, queryYear, fileNames) {
  * @returns {string} Normalized file name
  */
 export function normalizeFileName(fileName) {
-  return fileName
-    .toLowerCase()
-    .replace(/[._\-\[\]\(\)]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+  return normalizeTitle(fileName.replace(/[._\[\]\(\)]/g, ' '));
 }
@@ -1,7 +1,122 @@
+import { normalizeTitle } from './title-normalizer.js';
+
 /**
  * Fuzzy search utilities for movie matching
  */
 
+/**
+ * Minimum score for a title to count as a possible match
+ */
+export const POSSIBLE_MATCH_THRESHOLD = 0.6;
+
+/**
+ * Minimum score for a match to be considered confident
+ */
+export const CONFIDENT_MATCH_THRESHOLD = 0.85;
+
+/**
+ * Dice coefficient between two lists of tokens (multiset overlap)
+ * @param {string[]} a - First token list
+ * @param {string[]} b - Second token list
+ * @returns {number} Similarity between 0 and 1
+ */
+function diceCoefficient(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const remaining = new Map();
+  for (const token of b) {
+    remaining.set(token, (remaining.get(token) || 0) + 1);
+  }
+
+  let common = 0;
+  for (const token of a) {
+    const count = remaining.get(token);
+    if (count) {
+      common++;
+      remaining.set(token, count - 1);
+    }
+  }
+
+  return (2 * common) / (a.length + b.length);
+}
+
+/**
+ * Split a string into overlapping character pairs, ignoring spaces
+ * @param {string} text - Normalized title
+ * @returns {string[]} Character bigrams
+ */
+function bigrams(text) {
+  const compact = text.replace(/\s/g, '');
+  if (compact.length < 2) return [compact];
+
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.push(compact.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+/**
+ * Score how similar two titles are
+ *
+ * Blends word overlap with character similarity, then penalizes titles of
+ * very different length so "It" does not match "It Follows".
+ * @param {string} searchTerm - The search term
+ * @param {string} itemTitle - The title to match against
+ * @returns {number} Score between 0 and 1
+ */
+export function scoreTitle(searchTerm, itemTitle) {
+  return scoreNormalizedTitles(normalizeTitle(searchTerm), normalizeTitle(itemTitle));
+}
+
+/**
+ * Score how similar two titles already passed through normalizeTitle() are
+ * Titles scored over and over, like an indexed library, are normalized once.
+ * @param {string} s1 - Normalized search term
+ * @param {string} s2 - Normalized title to match against
+ * @returns {number} Score between 0 and 1
+ */
+export function scoreNormalizedTitles(s1, s2) {
+  if (!s1 || !s2) return 0;
+  // Word breaks are unreliable ("Spider Man" / "Spiderman"), so compare without them too
+  if (s1.replace(/ /g, '') === s2.replace(/ /g, '')) return 1;
+
+  const tokenScore = diceCoefficient(s1.split(' '), s2.split(' '));
+  const characterScore = diceCoefficient(bigrams(s1), bigrams(s2));
+  const lengthRatio = Math.min(s1.length, s2.length) / Math.max(s1.length, s2.length);
+
+  return (0.6 * tokenScore + 0.4 * characterScore) * Math.sqrt(lengthRatio);
+}
+
+/**
+ * Score how well two release years agree
+ * @param {number} year1 - First year
+ * @param {number} year2 - Second year
+ * @returns {number} 1 for the same year, less with distance, 0.9 if either is unknown
+ */
+export function scoreYear(year1, year2) {
+  if (!year1 || !year2) return 0.9;
+
+  const distance = Math.abs(year1 - year2);
+  if (distance === 0) return 1;
+  if (distance === 1) return 0.9;
+  if (distance === 2) return 0.5;
+  return 0;
+}
+
+/**
+ * Score a title and year against a candidate
+ * @param {string} searchTerm - The search term
+ * @param {string} itemTitle - The title to match against
+ * @param {number} searchYear - The search year
+ * @param {number} itemYear - The item year
+ * @returns {number} Confidence between 0 and 1
+ */
+export function scoreMatch(searchTerm, itemTitle, searchYear, itemYear) {
+  return scoreTitle(searchTerm, itemTitle) * scoreYear(searchYear, itemYear);
+}
+
 /**
  * Perform fuzzy title matching
  * @param {string} searchTerm - The search term
@@ -9,9 +124,7 @@
  * @returns {boolean} True if titles match fuzzily
  */
 export function fuzzyMatchTitle(searchTerm, itemTitle) {
-  const s1 = searchTerm.toLowerCase().trim();
-  const s2 = itemTitle.toLowerCase().trim();
-  return s1 === s2 || s1.includes(s2) || s2.includes(s1);
+  return scoreTitle(searchTerm, itemTitle) >= POSSIBLE_MATCH_THRESHOLD;
 }
 
 /**
@@ -34,6 +147,5 @@ export function fuzzyMatchYear(year1, year2) {
  * @returns {boolean} True if both title and year match
  */
 export function fuzzyMatch(searchTerm, itemTitle, searchYear, itemYear) {
-  return fuzzyMatchTitle(searchTerm, itemTitle) && 
-         fuzzyMatchYear(searchYear, itemYear);
+  return scoreMatch(searchTerm, itemTitle, searchYear, itemYear) >= POSSIBLE_MATCH_THRESHOLD;
 }
@@ -0,0 +1,38 @@
+/**
+ * Promise helpers for IndexedDB
+ */
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IDBTransaction to finish
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Key range covering every record of a source in a store keyed by [sourceId, ...]
+ * @param {string} sourceId - Source identifier
+ * @returns {IDBKeyRange}
+ */
+export function sourceRange(sourceId) {
+  // Arrays sort after strings and numbers, so [sourceId, []] bounds all second key parts
+  return IDBKeyRange.bound([sourceId], [sourceId, []]);
+}
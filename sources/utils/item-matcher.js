@@ -0,0 +1,257 @@
+import { scoreNormalizedTitles, scoreYear, POSSIBLE_MATCH_THRESHOLD, CONFIDENT_MATCH_THRESHOLD } from './fuzzy-search.js';
+import { normalizeTitle, stripForeignArticle } from './title-normalizer.js';
+
+/**
+ * Library item matching that prefers external IDs over titles
+ */
+
+/**
+ * External ID providers understood by the matcher
+ */
+const ID_KEYS = ['imdb', 'tmdb', 'tvdb'];
+
+/**
+ * Number of runner-up candidates reported alongside the best match
+ */
+const MAX_RUNNERS_UP = 3;
+
+/**
+ * Normalize a provider ID map (e.g. Jellyfin's { Imdb, Tmdb, Tvdb })
+ * @param {Object} providerIds - Provider IDs keyed by provider name
+ * @returns {{imdb?: string, tmdb?: string, tvdb?: string}} IDs with lowercase keys and values
+ */
+export function normalizeProviderIds(providerIds) {
+  const ids = {};
+
+  for (const [key, value] of Object.entries(providerIds || {})) {
+    const provider = key.toLowerCase();
+    if (ID_KEYS.includes(provider) && value) {
+      ids[provider] = String(value).toLowerCase();
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Compare the external IDs of a query and a library item
+ * @param {Object} queryIds - IDs extracted from the page
+ * @param {Object} itemIds - IDs reported by the source
+ * @returns {boolean|null} True if any shared ID agrees, false if shared IDs
+ *   only disagree, null if there is no ID in common
+ */
+export function compareIds(queryIds, itemIds) {
+  let conflict = false;
+
+  for (const key of ID_KEYS) {
+    const queryId = queryIds?.[key];
+    const itemId = itemIds?.[key];
+    if (!queryId || !itemId) continue;
+
+    if (String(queryId).toLowerCase() === String(itemId).toLowerCase()) {
+      return true;
+    }
+    conflict = true;
+  }
+
+  return conflict ? false : null;
+}
+
+/**
+ * Score a library item against a query
+ *
+ * A shared external ID settles the match either way; title and year are only
+ * scored when the query and the item have no ID in common, so a remake with a
+ * different IMDb ID is never mistaken for the original. Every title of the
+ * query is compared with every name of the item (display, original and sort
+ * name) and the best pairing counts.
+ * @param {{name: string, alternateNames?: string[], year: number|null, ids?: Object}} item - Candidate item
+ * @param {string} title - Movie title
+ * @param {number} year - Movie release year
+ * @param {Object} ids - External IDs of the movie
+ * @param {string[]} [alternateTitles] - Original or alternate titles of the movie
+ * @returns {number} Confidence between 0 and 1
+ */
+export function scoreItem(item, title, year, ids = {}, alternateTitles = []) {
+  return scorePreparedItem(prepareItem(item), prepareQuery(title, alternateTitles), year, ids);
+}
+
+/**
+ * Normalize the names of a library item once, so it can be ranked against many queries
+ * @param {{name: string, alternateNames?: string[]}} item - Library item
+ * @returns {{item: Object, names: string[], articleFreeNames: string[], words: Set<string>}} The item with its normalized names and their words
+ */
+export function prepareItem(item) {
+  return { item, ...prepareNames([item.name, ...(item.alternateNames || [])]) };
+}
+
+/**
+ * Normalize the titles of a query
+ * @param {string} title - Title
+ * @param {string[]} alternateTitles - Other titles
+ * @returns {{names: string[], articleFreeNames: string[], words: Set<string>}}
+ */
+function prepareQuery(title, alternateTitles) {
+  return prepareNames([title, ...alternateTitles]);
+}
+
+/**
+ * Normalize titles, and those with a foreign article once more without it (see stripForeignArticle())
+ * @param {string[]} titles - Titles as displayed or stored
+ * @returns {{names: string[], articleFreeNames: string[], words: Set<string>}}
+ */
+function prepareNames(titles) {
+  const names = titles.map(normalizeTitle).filter(Boolean);
+  const articleFreeNames = titles.map(stripForeignArticle).filter(Boolean);
+  return { names, articleFreeNames, words: collectWords([...names, ...articleFreeNames]) };
+}
+
+/**
+ * Words of normalized names, plus each name without spaces
+ * Titles without a word in common score below the possible-match threshold,
+ * unless they only differ in word breaks ("Spider Man" / "Spiderman").
+ * @param {string[]} names - Normalized names
+ * @returns {Set<string>}
+ */
+function collectWords(names) {
+  return new Set(names.flatMap(name => [...name.split(' '), name.replace(/ /g, '')]));
+}
+
+/**
+ * Score a prepared library item against a prepared query (see scoreItem())
+ * @param {{item: Object, names: string[], articleFreeNames: string[]}} prepared - Output of prepareItem()
+ * @param {{names: string[], articleFreeNames: string[]}} query - Output of prepareQuery()
+ * @param {number} year - Release year of the query
+ * @param {Object} ids - External IDs of the query
+ * @returns {number} Confidence between 0 and 1
+ */
+function scorePreparedItem({ item, names, articleFreeNames }, query, year, ids) {
+  const idAgreement = compareIds(ids, item.ids);
+  if (idAgreement !== null) {
+    return idAgreement ? 1 : 0;
+  }
+
+  const yearScore = scoreYear(year, item.year);
+
+  // Titles that only differ in where the foreign article goes are the same ("La Haine" / "Haine, La")
+  if (query.articleFreeNames.some(name => articleFreeNames.includes(name))) {
+    return yearScore;
+  }
+
+  let best = 0;
+  for (const queryName of query.names) {
+    for (const itemName of names) {
+      best = Math.max(best, scoreNormalizedTitles(queryName, itemName));
+    }
+  }
+  return best * yearScore;
+}
+
+/**
+ * Whether a prepared item can reach the possible-match threshold by title and year
+ * Cheap checks that skip most of a large library before any title is scored.
+ * @param {{item: Object, words: Set<string>}} prepared - Output of prepareItem()
+ * @param {{words: Set<string>}} query - Output of prepareQuery()
+ * @param {number} year - Release year of the query
+ * @returns {boolean}
+ */
+function canMatchByTitle({ item, words }, query, year) {
+  if (scoreYear(year, item.year) === 0) {
+    return false;
+  }
+  for (const word of query.words) {
+    if (words.has(word)) return true;
+  }
+  return false;
+}
+
+/**
+ * Collect the names of a source item that differ from its display name
+ * @param {string} name - Display name
+ * @param {...string} names - Original title, sort name, ...
+ * @returns {string[]} Distinct non-empty alternate names
+ */
+export function collectAlternateNames(name, ...names) {
+  return [...new Set(names.filter(other => other && other !== name))];
+}
+
+/**
+ * Rank the library items that possibly match a query, best first
+ * @param {Array<{name: string, year: number|null, ids?: Object}>} items - Candidate items
+ * @param {string} title - Movie title
+ * @param {number} year - Movie release year
+ * @param {Object} [ids] - External IDs of the movie
+ * @param {string[]} [alternateTitles] - Original or alternate titles of the movie
+ * @returns {Array<{item: Object, confidence: number}>} Items scoring at least the possible-match threshold
+ */
+export function rankMatchingItems(items, title, year, ids = {}, alternateTitles = []) {
+  return rankPreparedItems(items.map(prepareItem), title, year, ids, alternateTitles);
+}
+
+/**
+ * Rank items prepared with prepareItem(), best first (see rankMatchingItems())
+ * @param {Array<{item: Object, names: string[], articleFreeNames: string[], words: Set<string>}>} preparedItems - Candidate items
+ * @param {string} title - Movie title
+ * @param {number} year - Movie release year
+ * @param {Object} [ids] - External IDs of the movie
+ * @param {string[]} [alternateTitles] - Original or alternate titles of the movie
+ * @returns {Array<{item: Object, confidence: number}>} Items scoring at least the possible-match threshold
+ */
+export function rankPreparedItems(preparedItems, title, year, ids = {}, alternateTitles = []) {
+  const query = prepareQuery(title, alternateTitles);
+  const ranked = [];
+
+  for (const prepared of preparedItems) {
+    // An ID in common settles the match, so only items without one are filtered by title and year
+    if (compareIds(ids, prepared.item.ids) === null && !canMatchByTitle(prepared, query, year)) {
+      continue;
+    }
+    const confidence = scorePreparedItem(prepared, query, year, ids);
+    if (confidence >= POSSIBLE_MATCH_THRESHOLD) {
+      ranked.push({ item: prepared.item, confidence });
+    }
+  }
+
+  return ranked.sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Find the library item best matching a query
+ * @param {Array<{name: string, year: number|null, ids?: Object}>} items - Candidate items
+ * @param {string} title - Movie title
+ * @param {number} year - Movie release year
+ * @param {Object} [ids] - External IDs of the movie
+ * @param {string[]} [alternateTitles] - Original or alternate titles of the movie
+ * @returns {Object|null} The best item, or null if none matches
+ */
+export function findMatchingItem(items, title, year, ids = {}, alternateTitles = []) {
+  return rankMatchingItems(items, title, year, ids, alternateTitles)[0]?.item || null;
+}
+
+/**
+ * Build a source check result from ranked candidates
+ * @param {Array<{item: Object, confidence: number}>} ranked - Output of rankMatchingItems()
+ * @param {'movie'|'series'} [key='movie'] - Property holding the best match
+ * @returns {{found: boolean, confidence?: number, confident?: boolean, movie?: Object, series?: Object, candidates: Array<Object>}}
+ */
+export function toMatchResult(ranked, key = 'movie') {
+  if (ranked.length === 0) {
+    return { found: false, candidates: [] };
+  }
+
+  const summarize = ({ item, confidence }) => ({
+    id: item.id,
+    name: item.name,
+    year: item.year,
+    confidence
+  });
+  const [best, ...runnersUp] = ranked;
+
+  return {
+    found: true,
+    confidence: best.confidence,
+    confident: best.confidence >= CONFIDENT_MATCH_THRESHOLD,
+    [key]: summarize(best),
+    candidates: runnersUp.slice(0, MAX_RUNNERS_UP).map(summarize)
+  };
+}
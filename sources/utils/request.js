@@ -0,0 +1,221 @@
+/**
+ * Shared HTTP request layer for source adapters
+ *
+ * Adds timeouts, limited retries with exponential backoff and a per-source
+ * circuit breaker on top of fetch(), so an unreachable server fails fast
+ * instead of hanging every lookup.
+ */
+
+// Abort requests that take longer than this
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Extra attempts after the first for timeouts, network errors and 5xx/429 responses
+const DEFAULT_RETRIES = 2;
+
+// Delay before the first retry; doubled for each further retry
+const DEFAULT_BACKOFF_MS = 500;
+
+// Consecutive failed requests that mark a source unavailable
+const DEFAULT_FAILURE_THRESHOLD = 3;
+
+// How long an unavailable source is skipped before it is tried again
+const DEFAULT_RESET_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * A request that failed after its retries (or could not be retried)
+ */
+export class RequestError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number|null} [details.status] - HTTP status, if the server answered
+   * @param {boolean} [details.retryable] - Whether trying again may succeed
+   */
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * A request refused because the source's circuit breaker is open
+ */
+export class SourceUnavailableError extends Error {
+  /**
+   * @param {number} retryAt - Time (ms since epoch) the source will be tried again
+   */
+  constructor(retryAt) {
+    super('Source unavailable after repeated failures');
+    this.name = 'SourceUnavailableError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Circuit breaker: opens after repeated failures, then lets a single trial
+ * request through once the reset timeout has passed
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.resetTimeoutMs] - Time before a trial request is allowed
+   */
+  constructor({ failureThreshold = DEFAULT_FAILURE_THRESHOLD, resetTimeoutMs = DEFAULT_RESET_TIMEOUT_MS } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.reset();
+  }
+
+  /**
+   * Close the circuit and forget past failures
+   */
+  reset() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Get the circuit state
+   * @returns {'closed'|'open'|'half-open'}
+   */
+  getState() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.resetTimeoutMs ? 'half-open' : 'open';
+  }
+
+  /**
+   * Check whether a request may be sent, reserving the trial request when half-open
+   * @returns {boolean}
+   */
+  tryAcquire() {
+    const state = this.getState();
+    if (state === 'closed') return true;
+    if (state === 'half-open' && !this.trialInProgress) {
+      this.trialInProgress = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a request the server answered
+   */
+  recordSuccess() {
+    this.reset();
+  }
+
+  /**
+   * Record a request that failed after its retries
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInProgress = false;
+    if (this.openedAt !== null || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Time the circuit lets a trial request through, or null when closed
+   * @returns {number|null}
+   */
+  getRetryAt() {
+    return this.openedAt === null ? null : this.openedAt + this.resetTimeoutMs;
+  }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Send one request, aborting it after a timeout
+ * @param {string} url - Request URL
+ * @param {RequestInit} options - fetch() options
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise<Response>} The response, if it is ok
+ * @throws {RequestError}
+ */
+async function fetchOnce(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    const message = error.name === 'AbortError'
+      ? `Request timed out after ${timeoutMs}ms`
+      : `Network error: ${error.message}`;
+    throw new RequestError(message, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    const retryable = response.status >= 500 || response.status === 429;
+    throw new RequestError(`HTTP ${response.status}: ${response.statusText}`, {
+      status: response.status,
+      retryable
+    });
+  }
+
+  return response;
+}
+
+/**
+ * fetch() with a timeout, retries with exponential backoff and an optional circuit breaker
+ *
+ * Client errors (4xx other than 429) are not retried and do not count against
+ * the circuit breaker: the server is up, the request is wrong.
+ * @param {string} url - Request URL
+ * @param {RequestInit} [options] - fetch() options
+ * @param {Object} [policy]
+ * @param {number} [policy.timeoutMs] - Per-attempt timeout
+ * @param {number} [policy.retries] - Extra attempts for retryable failures
+ * @param {number} [policy.backoffMs] - Delay before the first retry
+ * @param {CircuitBreaker|null} [policy.circuitBreaker] - Breaker guarding the source
+ * @returns {Promise<Response>} An ok response
+ * @throws {RequestError|SourceUnavailableError}
+ */
+export async function fetchWithRetry(url, options = {}, {
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS,
+  circuitBreaker = null
+} = {}) {
+  if (circuitBreaker && !circuitBreaker.tryAcquire()) {
+    throw new SourceUnavailableError(circuitBreaker.getRetryAt());
+  }
+
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await delay(backoffMs * 2 ** (attempt - 1));
+    }
+
+    try {
+      const response = await fetchOnce(url, options, timeoutMs);
+      circuitBreaker?.recordSuccess();
+      return response;
+    } catch (error) {
+      lastError = error;
+      if (!error.retryable) {
+        circuitBreaker?.recordSuccess();
+        throw error;
+      }
+    }
+  }
+
+  circuitBreaker?.recordFailure();
+  throw lastError;
+}
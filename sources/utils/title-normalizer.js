@@ -0,0 +1,185 @@
+/**
+ * Title normalization shared by every matcher
+ *
+ * Reduces a title to a canonical form so that variations such as
+ * "Amélie" / "Amelie", "The Godfather: Part II" / "Godfather Part 2" or
+ * "Spider-Man" / "Spiderman" compare equal.
+ */
+
+/**
+ * Letters that Unicode decomposition does not fold to ASCII
+ */
+const SPECIAL_LETTERS = {
+  'æ': 'ae',
+  'œ': 'oe',
+  'ß': 'ss',
+  'ø': 'o',
+  'ł': 'l',
+  'đ': 'd',
+  'ð': 'd',
+  'þ': 'th',
+  'ı': 'i'
+};
+
+/**
+ * Stylized titles that no general rule can undo
+ */
+const STYLIZED_TITLES = {
+  'se7en': 'seven'
+};
+
+/**
+ * Leading English articles
+ * Sites do not say which language a title is in, and foreign articles are
+ * English words too ("Die Hard", "Lo and Behold"), so those stay in place
+ * here; see stripForeignArticle().
+ */
+const LEADING_ARTICLES = ['the', 'a', 'an'];
+
+/**
+ * Articles in French, Spanish, Italian, German, Dutch and Portuguese
+ */
+const FOREIGN_ARTICLES = [
+  'le', 'la', 'les', 'un', 'une',
+  'el', 'los', 'las', 'una',
+  'il', 'lo', 'gli',
+  'der', 'die', 'das', 'ein', 'eine',
+  'de', 'het', 'een',
+  'o', 'os', 'as'
+];
+
+/**
+ * Roman numerals II-XX
+ * They are only numbers in a sequel position (see normalizeNumerals()), and
+ * the single letters only after words like "Part": "Malcolm X", "V for Vendetta".
+ */
+const ROMAN_NUMERALS = {
+  ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7, viii: 8, ix: 9, x: 10,
+  xi: 11, xii: 12, xiii: 13, xiv: 14, xv: 15, xvi: 16, xvii: 17, xviii: 18, xix: 19, xx: 20
+};
+
+/**
+ * Words after which a roman numeral, even a single letter, is a number
+ */
+const NUMBERED_PART_WORDS = ['part', 'chapter', 'episode', 'volume', 'vol', 'book'];
+
+/**
+ * Spelled-out numbers, e.g. "Ocean's Eleven" / "Ocean's 11"
+ */
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20
+};
+
+/**
+ * Fold accents and special letters to plain ASCII
+ * @param {string} text - Lowercase text
+ * @returns {string} Folded text
+ */
+export function foldUnicode(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[æœßøłđðþı]/g, letter => SPECIAL_LETTERS[letter]);
+}
+
+/**
+ * Strip one leading article, or a trailing one as used in sort names ("Godfather, The")
+ * @param {string} text - Lowercase title with punctuation still in place
+ * @returns {string} Title without the article
+ */
+export function stripArticles(text) {
+  const articles = LEADING_ARTICLES.join('|');
+  const trailing = new RegExp(`,\\s*(?:${articles})$`);
+  const leading = new RegExp(`^(?:${articles})\\s+(?=\\S)`);
+
+  const stripped = text.replace(trailing, '').replace(leading, '');
+  // Never reduce a title to nothing ("The", "A")
+  return stripped.trim() ? stripped : text;
+}
+
+/**
+ * Normalize a title without its leading or trailing foreign article
+ * The result is an extra name to compare with another article-free name only:
+ * "La Haine" and "Haine, La" agree, while "Die Hard" has no such name in
+ * common with "Hard".
+ * @param {string} title - Title as displayed or stored
+ * @returns {string|null} Normalized title without the article, or null if it has none
+ */
+export function stripForeignArticle(title) {
+  const text = foldUnicode((title || '').toLowerCase().trim());
+  const articles = FOREIGN_ARTICLES.join('|');
+  // The elided article is joined to its word: "L'Avventura", "Avventura, L'"
+  const trailing = new RegExp(`,\\s*(?:${articles}|l['’])$`);
+  const leading = new RegExp(`^(?:(?:${articles})\\s+|l['’])(?=\\S)`);
+
+  const stripped = trailing.test(text) ? text.replace(trailing, '') : text.replace(leading, '');
+  if (stripped === text) return null;
+  return normalizeTitle(stripped) || null;
+}
+
+/**
+ * Convert roman numerals and spelled-out numbers to digits
+ * Roman numerals count only at the end of a title or subtitle ("Rocky IV",
+ * "Star Trek II: The Wrath of Khan") or after words like "Part".
+ * @param {string[]} tokens - Words of one title or subtitle
+ * @returns {string[]} Words with numbers as digits
+ */
+export function normalizeNumerals(tokens) {
+  return tokens.map((token, index) => {
+    if (NUMBER_WORDS[token]) return String(NUMBER_WORDS[token]);
+    if (NUMBERED_PART_WORDS.includes(tokens[index - 1])) {
+      if (token === 'i') return '1';
+      if (ROMAN_NUMERALS[token]) return String(ROMAN_NUMERALS[token]);
+    }
+    const isLast = index === tokens.length - 1;
+    if (isLast && index > 0 && token.length > 1 && ROMAN_NUMERALS[token]) {
+      return String(ROMAN_NUMERALS[token]);
+    }
+    return token;
+  });
+}
+
+/**
+ * Split text into words, joining hyphenated words and dropping punctuation
+ * @param {string} text - Lowercase text with plain hyphens
+ * @returns {string[]} Words
+ */
+function splitWords(text) {
+  return text
+    // Hyphenated words are joined: "Spider-Man" -> "spiderman"
+    .replace(/(\p{L})-(?=\p{L})/gu, '$1')
+    // Apostrophes join too: "Schindler's" -> "schindlers"
+    .replace(/['’`]/g, '')
+    // Remaining dashes and other punctuation separate words
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Normalize a title for comparison
+ * @param {string} title - Title as displayed or stored
+ * @returns {string} Lowercase, accent-free words separated by single spaces
+ */
+export function normalizeTitle(title) {
+  let text = foldUnicode((title || '').toLowerCase().trim());
+
+  text = STYLIZED_TITLES[text] || text;
+  text = stripArticles(text);
+
+  text = text
+    .replace(/&/g, ' and ')
+    // Dash variants (hyphen, en/em dash, minus) all become a plain hyphen
+    .replace(/[‐-―−]/g, '-');
+
+  // Colons and spaced dashes start a subtitle, whose end is a sequel position too
+  const segments = text.split(/:|\s-\s/).map(splitWords).filter(words => words.length > 0);
+
+  // A one-word title is never a number: "X", "Nine"
+  if (segments.length === 1 && segments[0].length === 1) {
+    return segments[0][0];
+  }
+  return segments.flatMap(normalizeNumerals).join(' ');
+}
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { prepareItem, rankPreparedItems, rankMatchingItems } from '../sources/utils/item-matcher.js';
+import { scoreMatch, POSSIBLE_MATCH_THRESHOLD, CONFIDENT_MATCH_THRESHOLD } from '../sources/utils/fuzzy-search.js';
+
+const LIBRARY = [
+  { id: '1', name: 'Spiderman', year: 2002, ids: {} },
+  { id: '2', name: 'The Dark Knight', year: 2008, ids: { imdb: 'tt0468569' } },
+  { id: '3', name: 'Dark Knight Rises', alternateNames: ['The Dark Knight Rises'], year: 2012, ids: {} },
+  { id: '4', name: 'Knight and Day', year: 2010, ids: {} },
+  { id: '5', name: 'Amélie', alternateNames: ['Le Fabuleux Destin d\'Amélie Poulain'], year: 2001, ids: {} },
+  { id: '6', name: 'Completely Different', year: 2008, ids: { imdb: 'tt0000001' } }
+];
+
+/**
+ * Score every item against every name without any pre-filter
+ */
+function rankByBruteForce(items, title, year, alternateTitles = []) {
+  return items
+    .map(item => ({
+      item,
+      confidence: Math.max(...[title, ...alternateTitles].flatMap(query =>
+        [item.name, ...(item.alternateNames || [])].map(name => scoreMatch(query, name, year, item.year))
+      ))
+    }))
+    .filter(candidate => candidate.confidence >= POSSIBLE_MATCH_THRESHOLD)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+const QUERIES = [
+  ['Spider-Man', 2002],
+  ['Spider Man', 2002],
+  ['The Dark Knight', 2008],
+  ['Dark Knight', 2009],
+  ['Dark Knight Rises', 2012],
+  ['Knight & Day', 2010],
+  ['Amelie', 2001],
+  ['Amelie', 2010],
+  ['Unknown Title', null]
+];
+
+describe('rankPreparedItems', () => {
+  const prepared = LIBRARY.map(prepareItem);
+
+  for (const [title, year] of QUERIES) {
+    it(`ranks "${title}" (${year}) like scoring every item`, () => {
+      assert.deepEqual(
+        rankPreparedItems(prepared, title, year),
+        rankByBruteForce(LIBRARY, title, year)
+      );
+    });
+  }
+
+  it('matches by external ID regardless of title and year', () => {
+    const [best] = rankPreparedItems(prepared, 'Batman 2', 1999, { imdb: 'tt0468569' });
+    assert.equal(best.item.id, '2');
+    assert.equal(best.confidence, 1);
+  });
+
+  it('rules out an item whose external ID disagrees', () => {
+    const ranked = rankMatchingItems(LIBRARY, 'Completely Different', 2008, { imdb: 'tt9999999' });
+    assert.deepEqual(ranked.map(({ item }) => item.id), []);
+  });
+
+  it('matches titles whose foreign article moved to the end', () => {
+    const items = [
+      { id: 'haine', name: 'Haine, La', year: 1995, ids: {} },
+      { id: 'boot', name: 'Boot', alternateNames: ['Boot, Das'], year: 1981, ids: {} }
+    ];
+    assert.equal(rankMatchingItems(items, 'La Haine', 1995)[0].confidence, 1);
+    assert.equal(rankMatchingItems(items, 'Das Boot', 1981)[0].confidence, 1);
+  });
+
+  it('is not confident that a title is the same title without its first word', () => {
+    const items = [{ id: 'hard', name: 'Hard', year: 1988, ids: {} }];
+    for (const title of ['Die Hard', 'La Hard']) {
+      const [best] = rankMatchingItems(items, title, 1988);
+      assert.ok(!best || best.confidence < CONFIDENT_MATCH_THRESHOLD);
+    }
+  });
+});
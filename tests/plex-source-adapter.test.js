@@ -0,0 +1,201 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import PlexSourceAdapter from '../sources/plex-source-adapter.js';
+
+const TOKEN = 'stand-in-token';
+
+const SECTIONS = [
+  { key: '1', type: 'movie', title: 'Movies' },
+  { key: '2', type: 'show', title: 'TV Shows' },
+  { key: '3', type: 'artist', title: 'Music' },
+  { key: '4', type: 'movie', title: 'Kids Movies' }
+];
+
+const ITEMS_BY_SECTION = {
+  '1': [{ ratingKey: '101', type: 'movie', title: 'The Dark Knight', year: 2008, Guid: [{ id: 'imdb://tt0468569' }] }],
+  '2': [{ ratingKey: '201', type: 'show', title: 'Breaking Bad', year: 2008 }],
+  '4': [{ ratingKey: '401', type: 'movie', title: 'Up', year: 2009 }]
+};
+
+/**
+ * Local stand-in for plex.tv and a Plex Media Server
+ * Each test sets how the PIN behaves; every request path is recorded.
+ */
+const standIn = {
+  server: null,
+  url: null,
+  requests: [],
+  pin: null,
+
+  reset({ expiresIn = 60, claimAfterPolls = 1, pollFailures = [] } = {}) {
+    this.requests = [];
+    this.pin = { id: 42, code: 'ABCD', expiresIn, claimAfterPolls, pollFailures: [...pollFailures], polls: 0 };
+  },
+
+  handle(request, response) {
+    const { pathname, searchParams } = new URL(request.url, this.url);
+    this.requests.push({ method: request.method, pathname, searchParams, headers: request.headers });
+
+    const send = (status, body) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+    };
+
+    if (request.method === 'POST' && pathname === '/api/v2/pins') {
+      return send(201, { id: this.pin.id, code: this.pin.code, expiresIn: this.pin.expiresIn, authToken: null });
+    }
+
+    const pinMatch = pathname.match(/^\/api\/v2\/pins\/(\d+)$/);
+    if (pinMatch) {
+      if (Number(pinMatch[1]) !== this.pin.id) {
+        return send(404, { errors: [{ message: 'Not Found' }] });
+      }
+      const failure = this.pin.pollFailures.shift();
+      if (failure) {
+        return send(failure, {});
+      }
+      this.pin.polls++;
+      const claimed = this.pin.claimAfterPolls !== null && this.pin.polls >= this.pin.claimAfterPolls;
+      return send(200, { id: this.pin.id, code: this.pin.code, authToken: claimed ? TOKEN : null });
+    }
+
+    if (request.headers['x-plex-token'] !== TOKEN) {
+      return send(401, {});
+    }
+
+    if (pathname === '/library/sections') {
+      return send(200, { MediaContainer: { Directory: SECTIONS } });
+    }
+
+    const sectionMatch = pathname.match(/^\/library\/sections\/(\d+)\/all$/);
+    if (sectionMatch) {
+      const title = searchParams.get('title')?.toLowerCase();
+      const items = (ITEMS_BY_SECTION[sectionMatch[1]] || [])
+        .filter(item => !title || item.title.toLowerCase().includes(title));
+      return send(200, { MediaContainer: { totalSize: items.length, Metadata: items } });
+    }
+
+    send(404, {});
+  },
+
+  sectionRequests() {
+    return this.requests
+      .map(request => request.pathname.match(/^\/library\/sections\/(\d+)\/all$/)?.[1])
+      .filter(Boolean);
+  }
+};
+
+before(async () => {
+  standIn.server = http.createServer((request, response) => standIn.handle(request, response));
+  await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+  standIn.url = `http://127.0.0.1:${standIn.server.address().port}`;
+});
+
+after(() => new Promise(resolve => standIn.server.close(resolve)));
+
+beforeEach(() => standIn.reset());
+
+function createAdapter() {
+  return new PlexSourceAdapter({ plexTvUrl: standIn.url, pinPollIntervalMs: 10 });
+}
+
+async function createConfiguredAdapter(sectionIds = []) {
+  const adapter = createAdapter();
+  await adapter.configure({ serverUrl: standIn.url, token: TOKEN, sectionIds });
+  return adapter;
+}
+
+describe('PlexSourceAdapter.signIn', () => {
+  it('creates a PIN and opens the plex.tv approval page for it', async () => {
+    const openedUrls = [];
+    await createAdapter().signIn(url => openedUrls.push(url));
+
+    const [create] = standIn.requests;
+    assert.equal(create.method, 'POST');
+    assert.equal(create.pathname, '/api/v2/pins');
+    assert.equal(create.searchParams.get('strong'), 'true');
+
+    assert.equal(openedUrls.length, 1);
+    const authParams = new URLSearchParams(openedUrls[0].split('#?')[1]);
+    assert.equal(authParams.get('code'), 'ABCD');
+    assert.equal(authParams.get('clientID'), create.headers['x-plex-client-identifier']);
+  });
+
+  it('polls the PIN until it is claimed and returns its token', async () => {
+    standIn.reset({ claimAfterPolls: 3 });
+    const result = await createAdapter().signIn(() => {});
+
+    assert.deepEqual(result, { token: TOKEN });
+    const polls = standIn.requests.filter(request => request.pathname === '/api/v2/pins/42');
+    assert.equal(polls.length, 3);
+    // plex.tv only hands the token to the client that created the PIN
+    const clientIds = new Set(standIn.requests.map(request => request.headers['x-plex-client-identifier']));
+    assert.equal(clientIds.size, 1);
+  });
+
+  it('keeps polling through failed polls', async () => {
+    standIn.reset({ claimAfterPolls: 1, pollFailures: [500, 503, 429] });
+    const result = await createAdapter().signIn(() => {});
+
+    assert.deepEqual(result, { token: TOKEN });
+  });
+
+  it('fails right away when plex.tv no longer knows the PIN', async () => {
+    standIn.reset({ claimAfterPolls: null, pollFailures: [404] });
+
+    await assert.rejects(createAdapter().signIn(() => {}), { status: 404 });
+    assert.equal(standIn.requests.filter(request => request.pathname === '/api/v2/pins/42').length, 1);
+  });
+
+  it('times out when the PIN expires unclaimed', async () => {
+    standIn.reset({ expiresIn: 0.2, claimAfterPolls: null });
+
+    await assert.rejects(createAdapter().signIn(() => {}), /timed out/);
+  });
+
+  it('leaves the health of the configured server alone', async () => {
+    standIn.reset({ pollFailures: [500] });
+    const adapter = await createConfiguredAdapter();
+    await adapter.signIn(() => {});
+
+    assert.equal(adapter.getHealth().state, 'unknown');
+  });
+});
+
+describe('PlexSourceAdapter sections', () => {
+  it('offers the movie and TV sections as libraries', async () => {
+    const adapter = await createConfiguredAdapter();
+    const { sectionIds } = await adapter.getFieldOptions();
+
+    assert.deepEqual(sectionIds, [
+      { value: '1', label: 'Movies' },
+      { value: '2', label: 'TV Shows' },
+      { value: '4', label: 'Kids Movies' }
+    ]);
+  });
+
+  it('looks for movies in every movie section when none is selected', async () => {
+    const adapter = await createConfiguredAdapter();
+    const result = await adapter.checkMovie('The Dark Knight', 2008);
+
+    assert.equal(result.found, true);
+    assert.deepEqual(standIn.sectionRequests(), ['1', '4']);
+  });
+
+  it('only looks in the selected sections', async () => {
+    const adapter = await createConfiguredAdapter(['4']);
+    const result = await adapter.checkMovie('The Dark Knight', 2008);
+
+    assert.equal(result.found, false);
+    assert.deepEqual(standIn.sectionRequests(), ['4']);
+  });
+
+  it('downloads the library of the selected sections only', async () => {
+    const adapter = await createConfiguredAdapter(['1', '2']);
+    const items = await adapter.fetchLibrary();
+
+    assert.deepEqual(items.map(item => [item.id, item.type]), [['101', 'movie'], ['201', 'series']]);
+    assert.deepEqual(items[0].ids, { imdb: 'tt0468569' });
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTitle, stripForeignArticle } from '../sources/utils/title-normalizer.js';
+import { scoreTitle, CONFIDENT_MATCH_THRESHOLD } from '../sources/utils/fuzzy-search.js';
+
+/**
+ * Real-world spellings of one title, as sites and media servers show them
+ */
+const SAME_TITLES = {
+  diacritics: [
+    ['Amélie', 'Amelie'],
+    ['Pokémon Detective Pikachu', 'Pokemon Detective Pikachu'],
+    ['Crouching Tiger, Hidden Dragon', 'Crouching Tiger Hidden Dragon'],
+    ['Æon Flux', 'Aeon Flux'],
+    ['Smilla’s Sense of Snow', "Smilla's Sense of Snow"],
+    ['Das Boot', 'Das Boot'],
+    ['Léon: The Professional', 'Leon The Professional']
+  ],
+  'roman numerals': [
+    ['The Godfather: Part II', 'The Godfather Part 2'],
+    ['Rocky IV', 'Rocky 4'],
+    ['Frozen II', 'Frozen 2'],
+    ['Star Trek II: The Wrath of Khan', 'Star Trek 2: The Wrath of Khan'],
+    ['Star Wars: Episode IV – A New Hope', 'Star Wars: Episode 4 - A New Hope'],
+    ['Kill Bill: Volume I', 'Kill Bill: Volume 1'],
+    ['Chapter V', 'Chapter 5']
+  ],
+  'word numerals': [
+    ["Ocean's Eleven", "Ocean's 11"],
+    ['Seven Samurai', '7 Samurai'],
+    ['Twelve Monkeys', '12 Monkeys'],
+    ['Three Billboards Outside Ebbing, Missouri', '3 Billboards Outside Ebbing Missouri']
+  ],
+  '& and and': [
+    ['Fast & Furious', 'Fast and Furious'],
+    ['Harold & Kumar Go to White Castle', 'Harold and Kumar Go to White Castle'],
+    ['Lock, Stock & Two Smoking Barrels', 'Lock Stock and Two Smoking Barrels']
+  ],
+  punctuation: [
+    ['Spider-Man: Homecoming', 'Spiderman Homecoming'],
+    ["Schindler's List", 'Schindlers List'],
+    ['WALL·E', 'WALL E'],
+    ['Mission: Impossible – Fallout', 'Mission Impossible - Fallout'],
+    ['Birdman or (The Unexpected Virtue of Ignorance)', 'Birdman or The Unexpected Virtue of Ignorance'],
+    ['Dr. Strangelove', 'Dr Strangelove']
+  ],
+  articles: [
+    ['The Matrix', 'Matrix'],
+    ['Matrix, The', 'The Matrix'],
+    ['A Beautiful Mind', 'Beautiful Mind'],
+    ['An Education', 'Education']
+  ],
+  'stylized titles': [
+    ['Se7en', 'Seven'],
+    ['SE7EN', 'Seven']
+  ]
+};
+
+/**
+ * Different titles that must not be folded together
+ */
+const DIFFERENT_TITLES = [
+  ['Die Hard', 'Hard'],
+  ['Die Another Day', 'Another Day'],
+  ['Lo and Behold', 'And Behold'],
+  ['Le Mans', 'Mans'],
+  ['X', '10'],
+  ['Malcolm X', 'Malcolm 10'],
+  ['V for Vendetta', '5 for Vendetta'],
+  ['Nine', '9'],
+  ['It', 'It Follows']
+];
+
+/**
+ * Titles with a foreign article in different places, the same without it
+ */
+const SAME_WITHOUT_FOREIGN_ARTICLE = [
+  ["Le Fabuleux Destin d'Amélie Poulain", "Fabuleux Destin d'Amélie Poulain, Le"],
+  ['La Haine', 'Haine, La'],
+  ['Das Boot', 'Boot, Das'],
+  ['Les Misérables', 'Misérables, Les'],
+  ['El Laberinto del Fauno', 'Laberinto del Fauno, El'],
+  ["L'Avventura", "Avventura, L'"]
+];
+
+/**
+ * Titles whose first word only looks like a foreign article, and the title without it
+ */
+const DIFFERENT_WITHOUT_FOREIGN_ARTICLE = [
+  ['Die Hard', 'Hard'],
+  ['Die Another Day', 'Another Day'],
+  ['Lo and Behold', 'And Behold'],
+  ['Le Mans', 'Mans'],
+  ['La Haine', 'Haine'],
+  ['Das Boot', 'Boot']
+];
+
+describe('normalizeTitle', () => {
+  for (const [group, pairs] of Object.entries(SAME_TITLES)) {
+    describe(group, () => {
+      for (const [title, variant] of pairs) {
+        it(`"${title}" equals "${variant}"`, () => {
+          assert.equal(normalizeTitle(title), normalizeTitle(variant));
+        });
+      }
+    });
+  }
+
+  describe('different titles', () => {
+    for (const [title, other] of DIFFERENT_TITLES) {
+      it(`"${title}" differs from "${other}"`, () => {
+        assert.notEqual(normalizeTitle(title), normalizeTitle(other));
+      });
+    }
+  });
+
+  it('keeps foreign articles and single letters in place', () => {
+    assert.equal(normalizeTitle('Die Hard'), 'die hard');
+    assert.equal(normalizeTitle('Lo and Behold'), 'lo and behold');
+    assert.equal(normalizeTitle('Malcolm X'), 'malcolm x');
+    assert.equal(normalizeTitle('V for Vendetta'), 'v for vendetta');
+  });
+
+  it('never reduces a title to nothing', () => {
+    assert.equal(normalizeTitle('The'), 'the');
+    assert.equal(normalizeTitle(''), '');
+    assert.equal(normalizeTitle(null), '');
+  });
+});
+
+describe('stripForeignArticle', () => {
+  for (const [title, variant] of SAME_WITHOUT_FOREIGN_ARTICLE) {
+    it(`"${title}" equals "${variant}"`, () => {
+      assert.ok(stripForeignArticle(title));
+      assert.equal(stripForeignArticle(title), stripForeignArticle(variant));
+    });
+  }
+
+  // Only a name that lost an article too can agree with an article-free name
+  for (const [title, other] of DIFFERENT_WITHOUT_FOREIGN_ARTICLE) {
+    it(`"${title}" has no article-free name in common with "${other}"`, () => {
+      assert.equal(stripForeignArticle(other), null);
+    });
+  }
+
+  it('leaves titles without a foreign article alone', () => {
+    assert.equal(stripForeignArticle('The Matrix'), null);
+    assert.equal(stripForeignArticle('Le'), null);
+    assert.equal(stripForeignArticle(''), null);
+  });
+});
+
+describe('scoreTitle', () => {
+  for (const pairs of Object.values(SAME_TITLES)) {
+    for (const [title, variant] of pairs) {
+      it(`matches "${title}" and "${variant}"`, () => {
+        assert.equal(scoreTitle(title, variant), 1);
+      });
+    }
+  }
+
+  for (const [title, other] of DIFFERENT_TITLES) {
+    it(`is not confident that "${title}" is "${other}"`, () => {
+      assert.ok(scoreTitle(title, other) < CONFIDENT_MATCH_THRESHOLD);
+    });
+  }
+});